@@ -39,6 +39,9 @@ function normalizeConfig(config) {
 
     normalized.minecraft = normalized.minecraft || {};
     normalized.minecraft.server = normalized.minecraft.server || {};
+    if (!normalized.minecraft.servers || typeof normalized.minecraft.servers !== 'object') {
+        normalized.minecraft.servers = {};
+    }
     if (!Array.isArray(normalized.minecraft.accounts)) {
         normalized.minecraft.accounts = [];
     }
@@ -77,7 +80,8 @@ function normalizeConfig(config) {
         proximityAlertEnabled: true,
         alertDistance: 96,
         alertCooldown: 300000,
-        lobbyReturnCommand: '/home sp'
+        lobbyReturnCommand: '/home sp',
+        proxy: null
     };
 
     for (const [key, value] of Object.entries(settingDefaults)) {
@@ -86,6 +90,74 @@ function normalizeConfig(config) {
         }
     }
 
+    normalized.settings.reconnectBackoff = {
+        baseDelay: normalized.settings.reconnectDelay,
+        multiplier: 2,
+        maxDelay: 300000,
+        jitter: 'decorrelated',
+        ...(normalized.settings.reconnectBackoff || {})
+    };
+
+    normalized.settings.connectionQueue = {
+        maxConcurrent: 2,
+        minGapMs: 5000,
+        admitTimeoutMs: 90000,
+        ...(normalized.settings.connectionQueue || {})
+    };
+
+    normalized.settings.connectWatchdog = {
+        enabled: true,
+        connectTimeoutMs: 45000,
+        authTimeoutMs: 900000,
+        loginTimeoutMs: 60000,
+        spawnTimeoutMs: 60000,
+        ...(normalized.settings.connectWatchdog || {})
+    };
+
+    normalized.settings.healthAlerts = {
+        enabled: true,
+        maxPingMs: 500,
+        minTps: 15,
+        maxPacketGapMs: 20000,
+        checkIntervalMs: 10000,
+        ...(normalized.settings.healthAlerts || {})
+    };
+
+    normalized.settings.serverProbe = {
+        enabled: true,
+        timeoutMs: 5000,
+        pollIntervalMs: 30000,
+        ...(normalized.settings.serverProbe || {})
+    };
+
+    normalized.settings.schedule = {
+        enabled: true,
+        checkIntervalMs: 30000,
+        maxOnline: 0,
+        rotationIntervalMs: 0,
+        ...(normalized.settings.schedule || {})
+    };
+
+    normalized.settings.sightings = {
+        enabled: true,
+        file: 'sightings.json',
+        visitGapMs: 600000,
+        repeatVisits: 3,
+        repeatWindowDays: 7,
+        retentionDays: 30,
+        ...(normalized.settings.sightings || {})
+    };
+
+    normalized.settings.banDetection = {
+        enabled: true,
+        patterns: [],
+        ...(normalized.settings.banDetection || {})
+    };
+
+    if (!Array.isArray(normalized.settings.kickRules)) {
+        normalized.settings.kickRules = [];
+    }
+
     if (!Array.isArray(normalized.settings.alertWhitelist)) {
         normalized.settings.alertWhitelist = [];
     }
@@ -125,6 +197,18 @@ function validateConfig(config) {
         throw new Error('Minecraft server host not configured');
     }
 
+    for (const [name, server] of Object.entries(config.minecraft.servers || {})) {
+        if (!server?.host) {
+            throw new Error(`Minecraft server profile "${name}" has no host`);
+        }
+    }
+
+    for (const account of config.minecraft.accounts || []) {
+        if (account.server && account.server !== 'default' && !config.minecraft.servers?.[account.server]) {
+            logger.warn(`Slot ${account.slot}: Unknown server profile "${account.server}", using default server.`);
+        }
+    }
+
     if (!config.minecraft?.accounts || config.minecraft.accounts.length === 0) {
         logger.warn('No Minecraft accounts configured. Use /account add to set one up.');
     } else {
@@ -214,6 +298,7 @@ async function main() {
             rl.close();
 
             await botManager.stopAll();
+            await botManager.sightingsLog.flush();
             await telegramBot.stop();
             await discordBot.stop();
 
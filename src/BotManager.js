@@ -1,4 +1,11 @@
 import { MinecraftBot } from './MinecraftBot.js';
+import { ConnectionScheduler } from './ConnectionScheduler.js';
+import { ScheduleManager, normalizeSchedule, describeSchedule } from './ScheduleManager.js';
+import { ServerMonitor } from './ServerMonitor.js';
+import { SightingsLog } from './SightingsLog.js';
+import { ThreatCorrelator } from './ThreatCorrelator.js';
+import { CHAT_RULE_ACTIONS, CHAT_TEXT_PLACEHOLDER, DEFAULT_CHAT_RULES } from './minecraft/managers/ChatRuleManager.js';
+import { normalizeRegion, describeRegion } from './minecraft/managers/BaseRegions.js';
 import fs from 'fs/promises';
 import path from 'path';
 
@@ -10,6 +17,13 @@ export class BotManager {
         this.bots = new Map(); // slot -> MinecraftBot instance
         this.telegramBot = null;
         this.discordBot = null;
+        this.connectionScheduler = new ConnectionScheduler(this.config.settings.connectionQueue || {});
+        this.scheduleManager = new ScheduleManager(this);
+        this.serverMonitor = new ServerMonitor(this);
+        this.sightingsLog = new SightingsLog(this);
+        this.threatCorrelator = new ThreatCorrelator(this);
+        this.quarantineTimers = new Map(); // MinecraftBot -> timeout
+        this.chatRuleStats = new Map(); // rule name -> { hits, lastHitAt, lastSlot }
     }
 
     setPlatformBots(telegramBot, discordBot) {
@@ -24,7 +38,10 @@ export class BotManager {
             .replace(/\*\*(.+?)\*\*/g, '<b>$1</b>');
     }
 
-    broadcastMessage(message) {
+    broadcastMessage(message, options = {}) {
+        if (options.priority === 'high') {
+            message = `🚨🚨 **ÖNCELİKLİ UYARI** 🚨🚨\n${message}`;
+        }
         if (this.telegramBot && this.telegramBot.bot) {
             const htmlMessage = this._mdToHtml(message);
             for (const userId of this.config.telegram.allowedUsers) {
@@ -36,35 +53,69 @@ export class BotManager {
         }
     }
 
-    handleProximityAlert(slot, player, distance) {
-        const message = `⚠️ <b>PROXIMITY ALERT</b> ⚠️\nSlot ${slot} — Oyuncu <b>${player}</b> <b>${Math.round(distance)}</b> blok uzakta!`;
-        logger.warn(`Slot ${slot}: Proximity alert - ${player} (${Math.round(distance)} blocks)`);
-        // Send HTML directly to Telegram, plain text to Discord
-        if (this.telegramBot && this.telegramBot.bot) {
-            for (const userId of this.config.telegram.allowedUsers) {
-                this.telegramBot.bot.telegram.sendMessage(userId, message, { parse_mode: 'HTML' }).catch(() => { });
-            }
+    handleProximityAlert(slot, player, distance, threat = {}) {
+        logger.warn(`Slot ${slot}: Proximity alert - ${threat.kind && threat.kind !== 'player' ? 'entity ' : ''}${player} (${Math.round(distance)} blocks${threat.zone ? `, zone ${threat.zone}` : ''}${threat.dryRun ? ', dry-run' : ''})`);
+        this.threatCorrelator.add(slot, player, distance, threat);
+    }
+
+    // alert: merged report from ThreatCorrelator; entries are the reporting slots, closest first.
+    sendProximityAlert(alert) {
+        const closest = alert.entries[0];
+        const threat = closest.threat;
+        const prefix = alert.entries.every(entry => entry.threat.dryRun) ? '🧪 DRY-RUN — ' : '';
+
+        const isPlayer = alert.kind === 'player';
+        const subject = isPlayer ? `Oyuncu **${alert.player}**` : `Tehlikeli varlık **${alert.kind}**`;
+
+        let message = isPlayer ? `${prefix}⚠️ **PROXIMITY ALERT** ⚠️\n` : `${prefix}💣 **TEHLİKE UYARISI** 💣\n`;
+        if (alert.seen.length > 1) {
+            message += `Üs ${alert.base} — ${subject} en yakın **${Math.round(closest.distance)}** blok (Slot ${closest.slot})`;
+            message += `\n👀 Gören slotlar: ${alert.seen.map(item => `Slot ${item.slot} (${Math.round(item.distance)} blok)`).join(', ')}`;
+        } else {
+            message += `Slot ${closest.slot} — ${subject} **${Math.round(closest.distance)}** blok uzakta!`;
         }
-        if (this.discordBot) {
-            this.discordBot.sendAlert(`⚠️ **PROXIMITY ALERT** ⚠️\nSlot ${slot} — Oyuncu **${player}** **${Math.round(distance)}** blok uzakta!`);
+
+        const zones = [...new Set(alert.entries.filter(entry => entry.threat.zone).map(entry => entry.threat.zone))];
+        if (zones.length > 0) {
+            message += `\nBölge: ${threat.zone || zones[0]} → ${threat.actions?.join(', ') || 'aksiyon yok'}`;
+            if (zones.length > 1) message += ` (diğer slotlar: ${zones.slice(1).join(', ')})`;
+        }
+        if (threat.region) {
+            message += threat.region.inside
+                ? `\n🏠 Üs alanı içinde (${threat.region.region})`
+                : `\n🏠 Üs alanı kenarına ${Math.round(threat.region.edgeDistance)} blok (${threat.region.region})`;
+        }
+        const visitor = isPlayer ? this.sightingsLog.getVisitorInfo(alert.player, closest.slot, this.bots.get(closest.slot)?.accountConfig.base) : null;
+        if (visitor?.repeat) {
+            message += `\n🔁 Tekrar gelen ziyaretçi — ${visitor.base}: son ${visitor.windowDays} günde ${visitor.visits}. ziyaret`;
         }
+        if (alert.movement) {
+            const path = alert.movement.path
+                .map(step => (step.base ? `${step.base} (Slot ${step.slots.join(', ')})` : `Slot ${step.slots.join(', ')}`))
+                .join(' → ');
+            const seconds = Math.round(alert.movement.elapsedMs / 1000);
+            message += `\n🔀 Hareket: ${path} — ${seconds < 60 ? `${seconds} sn` : `${Math.round(seconds / 60)} dk`} içinde`;
+        }
+
+        this.broadcastMessage(message);
     }
 
-    handleConnect(slot, host, version) {
-        const message = `✅ Slot <b>${slot}</b> bağlandı → <code>${host}</code> (${version})`;
-        logger.info(`[${slot}] connected -> (${host}) (${version})`);
+    handleConnect(slot, host, version, serverName = 'default') {
+        const message = `✅ Slot <b>${slot}</b> bağlandı → <code>${host}</code> [${serverName}] (${version})`;
+        logger.info(`[${slot}] connected -> (${host}) [${serverName}] (${version})`);
         if (this.telegramBot && this.telegramBot.bot) {
             for (const userId of this.config.telegram.allowedUsers) {
                 this.telegramBot.bot.telegram.sendMessage(userId, message, { parse_mode: 'HTML' }).catch(() => { });
             }
         }
         if (this.discordBot) {
-            this.discordBot.sendAlert(`✅ Slot **${slot}** bağlandı → \`${host}\` (${version})`);
+            this.discordBot.sendAlert(`✅ Slot **${slot}** bağlandı → \`${host}\` [${serverName}] (${version})`);
         }
     }
 
     async initialize() {
         logger.info('Initializing Bot Manager');
+        await this.sightingsLog.load();
 
         let accountDefaultsChanged = false;
         for (const accountConfig of this.config.minecraft.accounts) {
@@ -83,19 +134,44 @@ export class BotManager {
 
         for (const accountConfig of this.config.minecraft.accounts) {
             const bot = new MinecraftBot(this.config, accountConfig);
-            // Callback for alerts
-            bot.onProximityAlert = (player, distance) => this.handleProximityAlert(accountConfig.slot, player, distance);
-            bot.onConnect = (host, version) => this.handleConnect(accountConfig.slot, host, version);
-            bot.onLobbyDetected = (inLobby) => this.handleLobbyDetected(accountConfig.slot, inLobby);
-            bot.onInventoryAlert = (msg) => this.handleInventoryAlert(msg);
+            this.attachBot(bot);
 
             this.bots.set(accountConfig.slot, bot);
             logger.info(`Registered slot ${accountConfig.slot} for ${accountConfig.username}`);
+
+            if (accountConfig.quarantine) {
+                if (bot.getQuarantine()) {
+                    this.scheduleQuarantineRelease(bot);
+                } else {
+                    delete accountConfig.quarantine;
+                }
+            }
         }
 
+        this.scheduleManager.start();
         logger.info(`Bot Manager initialized with ${this.bots.size} accounts`);
     }
 
+    // Wire manager callbacks and the shared connection queue into a slot bot.
+    // Slot is read at call time so removeAccount() shifts stay consistent.
+    attachBot(bot) {
+        bot.onProximityAlert = (player, distance, threat) => this.handleProximityAlert(bot.slot, player, distance, threat);
+        bot.onPlayerSighting = (sighting) => this.sightingsLog.record(bot.slot, bot.accountConfig.base, sighting);
+        bot.onBaseEvacuate = (reason) => this.evacuateBase(bot.slot, reason);
+        bot.onConnect = (host, version, serverName) => this.handleConnect(bot.slot, host, version, serverName);
+        bot.onLobbyDetected = (inLobby) => this.handleLobbyDetected(bot.slot, inLobby);
+        bot.onInventoryAlert = (msg) => this.handleInventoryAlert(msg);
+        bot.onKickAlert = (msg) => this.handleKickAlert(msg);
+        bot.onBanDetected = (ban) => this.handleBanDetected(bot, ban);
+        bot.onHealthAlert = (msg) => this.handleHealthAlert(msg);
+        bot.onChatRuleAlert = (msg) => this.handleChatRuleAlert(msg);
+        bot.onAnchorAlert = (msg) => this.handleAnchorAlert(msg);
+        bot.onNavigationUpdate = (msg) => this.handleNavigationUpdate(msg);
+        bot.chatRuleStats = this.chatRuleStats;
+        bot.connectionScheduler = this.connectionScheduler;
+        bot.serverMonitor = this.serverMonitor;
+    }
+
     handleLobbyDetected(slot, inLobby) {
         const emoji = inLobby ? '🏢' : '✅';
         const statusTR = inLobby ? 'Lobby tespit edildi! Sunucu bakımda olabilir. Bekleniyor...' : 'Lobby\'den döndü! Normal operasyon devam ediyor.';
@@ -117,6 +193,135 @@ export class BotManager {
         this.broadcastMessage(message);
     }
 
+    handleKickAlert(message) {
+        logger.warn(message);
+        this.broadcastMessage(message);
+    }
+
+    handleHealthAlert(message) {
+        logger.warn(message);
+        this.broadcastMessage(message);
+    }
+
+    handleChatRuleAlert(message) {
+        logger.info(message);
+        this.broadcastMessage(message);
+    }
+
+    // Slots with the same accountConfig.base value guard the same base.
+    getBaseSlots(slot) {
+        const base = this.bots.get(slot)?.accountConfig.base;
+        if (!base) {
+            return [slot];
+        }
+
+        return [...this.bots.values()]
+            .filter(bot => bot.accountConfig.base === base)
+            .map(bot => bot.slot);
+    }
+
+    evacuateBase(slot, reason) {
+        const base = this.bots.get(slot)?.accountConfig.base;
+        const others = this.getBaseSlots(slot).filter(other => other !== slot);
+        const stopped = [];
+
+        for (const other of others) {
+            const bot = this.bots.get(other);
+            if (!bot?.bot || bot.status !== 'online') continue;
+            bot._protectionRunning = false;
+            bot.stop();
+            stopped.push(other);
+        }
+
+        logger.error(`Slot ${slot}: Base evacuation (${base || 'no base'}) - ${reason}. Disconnected slots: ${[slot, ...stopped].join(', ')}`);
+        this.broadcastMessage(
+            `🚨 **ÜS TAHLİYESİ** — Slot ${slot}${base ? ` (${base})` : ''}\nSebep: ${reason}\nBağlantısı kesilen slotlar: ${[slot, ...stopped].join(', ')}`,
+            { priority: 'high' }
+        );
+    }
+
+    handleAnchorAlert(message) {
+        logger.warn(message);
+        this.broadcastMessage(message);
+    }
+
+    handleNavigationUpdate(message) {
+        logger.info(message);
+        this.broadcastMessage(message);
+    }
+
+    async handleBanDetected(bot, ban) {
+        bot.accountConfig.quarantine = {
+            reason: ban.reason,
+            detectedAt: ban.detectedAt,
+            expiresAt: ban.expiresAt
+        };
+        this.scheduleQuarantineRelease(bot);
+
+        const untilText = ban.expiresAt
+            ? `Bitiş: **${new Date(ban.expiresAt).toLocaleString('tr-TR')}**`
+            : 'Bitiş: **belirsiz** (manuel `/start` gerekir)';
+        logger.error(`Slot ${bot.slot}: Account quarantined after ban: ${ban.reason}`);
+        this.broadcastMessage(
+            `⛔ **BAN TESPİT EDİLDİ** — Slot ${bot.slot} (${bot.accountConfig.username})\n` +
+            `Sebep: ${ban.reason}\n${untilText}\nOtomatik başlatma ve reconnect askıya alındı.`,
+            { priority: 'high' }
+        );
+
+        const saved = await this.saveConfig();
+        if (!saved) {
+            logger.warn(`Slot ${bot.slot}: Quarantine could not be persisted to config.`);
+        }
+    }
+
+    // setTimeout cannot wait longer than ~24.8 days, so long bans re-arm daily.
+    scheduleQuarantineRelease(bot) {
+        clearTimeout(this.quarantineTimers.get(bot));
+        this.quarantineTimers.delete(bot);
+
+        const quarantine = bot.accountConfig.quarantine;
+        if (!quarantine?.expiresAt) {
+            return;
+        }
+
+        const remaining = quarantine.expiresAt - Date.now();
+        const timeout = setTimeout(() => {
+            this.quarantineTimers.delete(bot);
+            if (quarantine.expiresAt > Date.now()) {
+                this.scheduleQuarantineRelease(bot);
+                return;
+            }
+            this.releaseQuarantine(bot).catch(error => logger.error(`Slot ${bot.slot}: Quarantine release failed: ${error.message}`));
+        }, Math.max(0, Math.min(remaining, 24 * 60 * 60 * 1000)));
+        this.quarantineTimers.set(bot, timeout);
+    }
+
+    async releaseQuarantine(bot) {
+        if (!bot.accountConfig.quarantine) {
+            return;
+        }
+
+        delete bot.accountConfig.quarantine;
+        logger.info(`Slot ${bot.slot}: Ban quarantine expired.`);
+        await this.saveConfig();
+
+        const shouldStart = bot.accountConfig.autoStart !== false && this.scheduleManager.isAllowedOnline(bot.slot);
+        this.broadcastMessage(`🔓 **Slot ${bot.slot}:** Ban süresi doldu, karantina kaldırıldı.${shouldStart ? ' Bot yeniden başlatılıyor.' : ''}`);
+        if (shouldStart) {
+            await bot.start('startup');
+        }
+    }
+
+    // Manual /start or /restart overrides an active quarantine.
+    clearQuarantine(bot) {
+        clearTimeout(this.quarantineTimers.get(bot));
+        this.quarantineTimers.delete(bot);
+        if (bot.accountConfig.quarantine) {
+            logger.warn(`Slot ${bot.slot}: Ban quarantine cleared by manual start.`);
+            delete bot.accountConfig.quarantine;
+        }
+    }
+
     getAccountConfig(slot) {
         return this.config.minecraft.accounts.find(acc => acc.slot === slot) || null;
     }
@@ -128,6 +333,7 @@ export class BotManager {
         }
 
         accountConfig.autoStart = enabled;
+        this.scheduleManager.invalidate();
         return await this.saveConfig();
     }
 
@@ -138,12 +344,20 @@ export class BotManager {
             return false;
         }
 
+        this.clearQuarantine(bot);
         const saved = await this.setAccountAutoStart(slot, true);
         if (!saved) {
             logger.warn(`Slot ${slot}: Failed to persist autoStart=true, continuing with manual start.`);
         }
 
-        return await bot.start('manual');
+        const startPromise = bot.start('manual');
+        if (this.connectionScheduler.getPosition(slot) > 0) {
+            // Waiting in the connection queue; report as accepted instead of blocking the command.
+            startPromise.catch(error => logger.error(`Slot ${slot}: Queued start failed: ${error.message}`));
+            return true;
+        }
+
+        return await startPromise;
     }
 
     async stopBot(slot) {
@@ -169,6 +383,7 @@ export class BotManager {
             return false;
         }
 
+        this.clearQuarantine(bot);
         const saved = await this.setAccountAutoStart(slot, true);
         if (!saved) {
             logger.warn(`Slot ${slot}: Failed to persist autoStart=true, continuing with restart.`);
@@ -181,7 +396,15 @@ export class BotManager {
         logger.info('Starting all bots');
         const promises = [];
 
-        for (const bot of this.bots.values()) {
+        for (const [slot, bot] of this.bots.entries()) {
+            if (!this.scheduleManager.isAllowedOnline(slot)) {
+                logger.info(`Slot ${slot}: Outside schedule window, not starting.`);
+                continue;
+            }
+            if (bot.getQuarantine()) {
+                logger.info(`Slot ${slot}: Quarantined (ban), not starting.`);
+                continue;
+            }
             promises.push(bot.start('startup'));
         }
 
@@ -193,6 +416,8 @@ export class BotManager {
         logger.info('Starting autoStart-enabled bots');
         const promises = [];
         const skipped = [];
+        const outsideSchedule = [];
+        const quarantined = [];
 
         for (const [slot, bot] of this.bots.entries()) {
             const accountConfig = this.getAccountConfig(slot);
@@ -203,14 +428,33 @@ export class BotManager {
                 continue;
             }
 
+            if (!this.scheduleManager.isAllowedOnline(slot)) {
+                outsideSchedule.push(slot);
+                skipped.push(slot);
+                continue;
+            }
+
+            if (bot.getQuarantine()) {
+                quarantined.push(slot);
+                skipped.push(slot);
+                continue;
+            }
+
             promises.push(bot.start('startup'));
         }
 
         await Promise.all(promises);
+        await this.scheduleManager.tick();
 
         if (skipped.length > 0) {
             logger.info(`Skipped autoStart-disabled slots on startup: ${skipped.join(', ')}`);
         }
+        if (outsideSchedule.length > 0) {
+            logger.info(`Slots outside their schedule window: ${outsideSchedule.join(', ')}`);
+        }
+        if (quarantined.length > 0) {
+            logger.info(`Quarantined (banned) slots not started: ${quarantined.join(', ')}`);
+        }
 
         logger.info(`Auto-start complete. Started: ${promises.length}, Skipped: ${skipped.length}`);
     }
@@ -231,7 +475,23 @@ export class BotManager {
         logger.info('Restarting all bots');
         await this.stopAll();
         await new Promise(resolve => setTimeout(resolve, 3000));
-        await this.startAll();
+        // Starts are admitted through the connection queue; don't block the caller on it.
+        this.startAll().catch(error => logger.error(`Restart all failed: ${error.message}`));
+    }
+
+    getPlayerSightings(player) {
+        return this.sightingsLog.getPlayer(player);
+    }
+
+    getVisitors(slot = null, since = 0) {
+        if (slot !== null && !this.bots.has(slot)) {
+            return null;
+        }
+        return this.sightingsLog.getVisitors({ slot, since });
+    }
+
+    getConnectionQueue() {
+        return this.connectionScheduler.getSnapshot();
     }
 
     async addAccount(platform, userId) {
@@ -289,10 +549,7 @@ export class BotManager {
             };
 
             const newBot = new MinecraftBot(this.config, runtimeAccountConfig);
-            newBot.onProximityAlert = (p, d) => this.handleProximityAlert(newSlot, p, d);
-            newBot.onConnect = (h, v) => this.handleConnect(newSlot, h, v);
-            newBot.onLobbyDetected = (inLobby) => this.handleLobbyDetected(newSlot, inLobby);
-            newBot.onInventoryAlert = (msg) => this.handleInventoryAlert(msg);
+            this.attachBot(newBot);
 
             this.bots.set(newSlot, newBot);
 
@@ -323,6 +580,8 @@ export class BotManager {
 
         const botToRemove = this.bots.get(slotNum);
         await botToRemove.stop();
+        clearTimeout(this.quarantineTimers.get(botToRemove));
+        this.quarantineTimers.delete(botToRemove);
         this.bots.delete(slotNum);
 
         // Remove from config array
@@ -350,6 +609,7 @@ export class BotManager {
             shiftedCount++;
         }
 
+        this.scheduleManager.invalidate();
         await this.saveConfig();
 
         let message = `Account in slot ${slotNum} removed.`;
@@ -373,11 +633,54 @@ export class BotManager {
                     slot: acc.slot,
                     username: acc.username,
                     status: runtimeStatus,
+                    server: this.resolveServerName(acc.server),
                     autoStart: acc.autoStart !== false
                 };
             });
     }
 
+    getServerNames() {
+        return ['default', ...Object.keys(this.config.minecraft.servers || {})];
+    }
+
+    resolveServerName(name) {
+        return name && this.config.minecraft.servers?.[name] ? name : 'default';
+    }
+
+    async setAccountServer(slot, serverName) {
+        const accountConfig = this.getAccountConfig(slot);
+        const bot = this.bots.get(slot);
+        if (!accountConfig || !bot) {
+            return { success: false, message: `❌ Slot **${slot}** bulunamadı` };
+        }
+
+        if (!this.getServerNames().includes(serverName)) {
+            return { success: false, message: `❌ Sunucu profili bulunamadı: \`${serverName}\`\nMevcut: ${this.getServerNames().map(n => `\`${n}\``).join(', ')}` };
+        }
+
+        const previous = this.resolveServerName(accountConfig.server);
+        if (serverName === 'default') {
+            delete accountConfig.server;
+        } else {
+            accountConfig.server = serverName;
+        }
+
+        const saved = await this.saveConfig();
+        if (!saved) {
+            return { success: false, message: 'Sunucu seçimi config dosyasına yazılamadı.' };
+        }
+
+        const isRunning = Boolean(bot.bot) || bot.isConnecting || bot.status === 'waiting';
+        if (isRunning) {
+            await bot.restart();
+        }
+
+        return {
+            success: true,
+            message: `🌍 Slot **${slot}** sunucusu: \`${previous}\` → \`${serverName}\`${isRunning ? ' — yeniden bağlanıyor...' : ''}`
+        };
+    }
+
     sendPlatformMessage(platform, userId, message) {
         if (platform === 'telegram' && this.telegramBot?.bot) {
             this.telegramBot.bot.telegram.sendMessage(userId, this._mdToHtml(message), { parse_mode: 'HTML' })
@@ -421,19 +724,81 @@ export class BotManager {
             return null;
         }
 
-        return bot.getStatus();
+        return { ...bot.getStatus(), schedule: this.scheduleManager.getSlotSchedule(slot) };
     }
 
     getAllStatus() {
         const statuses = [];
 
         for (const [slot, bot] of this.bots) {
-            statuses.push(bot.getStatus());
+            statuses.push({ ...bot.getStatus(), schedule: this.scheduleManager.getSlotSchedule(slot) });
         }
 
         return statuses;
     }
 
+    getScheduleList() {
+        return [...this.bots.keys()]
+            .sort((a, b) => a - b)
+            .map(slot => ({
+                slot,
+                username: this.getAccountConfig(slot)?.username,
+                schedule: this.scheduleManager.getSlotSchedule(slot)
+            }));
+    }
+
+    async setSchedule(slot, schedule) {
+        const accountConfig = this.getAccountConfig(slot);
+        if (!accountConfig || !this.bots.has(slot)) {
+            return { success: false, message: `❌ Slot **${slot}** bulunamadı` };
+        }
+
+        const normalized = normalizeSchedule(schedule);
+        if (!normalized) {
+            return { success: false, message: '❌ Geçersiz program. Örnek: `mon-fri 22:00-06:00` veya `cron 0 22 * * * 0 6 * * *`' };
+        }
+
+        accountConfig.schedule = schedule;
+        const saved = await this.saveConfig();
+        if (!saved) {
+            return { success: false, message: 'Program config dosyasına yazılamadı.' };
+        }
+
+        this.scheduleManager.resetSlot(slot);
+        await this.scheduleManager.tick();
+
+        return { success: true, message: `⏰ Slot **${slot}** programı: ${describeSchedule(normalized)}` };
+    }
+
+    async clearSchedule(slot) {
+        const accountConfig = this.getAccountConfig(slot);
+        const bot = this.bots.get(slot);
+        if (!accountConfig || !bot) {
+            return { success: false, message: `❌ Slot **${slot}** bulunamadı` };
+        }
+
+        if (!accountConfig.schedule) {
+            return { success: false, message: `⚠️ Slot **${slot}** için program yok` };
+        }
+
+        delete accountConfig.schedule;
+        const saved = await this.saveConfig();
+        if (!saved) {
+            return { success: false, message: 'Program silindi ancak config dosyasına yazılamadı.' };
+        }
+
+        this.scheduleManager.resetSlot(slot);
+
+        // A slot parked by its schedule returns to plain autoStart behaviour.
+        const wasParked = bot.scheduledOffline;
+        bot.scheduledOffline = false;
+        if (wasParked && accountConfig.autoStart !== false && !bot.bot && !bot.isConnecting) {
+            bot.start('manual').catch(error => logger.error(`Slot ${slot}: Start after schedule clear failed: ${error.message}`));
+        }
+
+        return { success: true, message: `🗑️ Slot **${slot}** programı silindi${wasParked ? ', slot başlatılıyor...' : ''}` };
+    }
+
     getBotStats(slot) {
         const bot = this.bots.get(slot);
         if (!bot) return null;
@@ -457,6 +822,33 @@ export class BotManager {
         return bot.getInventory();
     }
 
+    getProxyInfo(slot) {
+        const bot = this.bots.get(slot);
+        if (!bot) {
+            return null;
+        }
+
+        return bot.getProxyInfo();
+    }
+
+    getKickHistory(slot) {
+        const bot = this.bots.get(slot);
+        if (!bot) {
+            return null;
+        }
+
+        return bot.getKickHistory();
+    }
+
+    getAfkInfo(slot) {
+        const bot = this.bots.get(slot);
+        if (!bot) {
+            return null;
+        }
+
+        return bot.getAfkInfo();
+    }
+
     async moveBot(slot, direction, distance) {
         const bot = this.bots.get(slot);
         if (!bot) {
@@ -466,6 +858,44 @@ export class BotManager {
         return await bot.move(direction, distance);
     }
 
+    navigateBot(slot, target) {
+        const bot = this.bots.get(slot);
+        if (!bot) {
+            return { success: false, message: `❌ Slot **${slot}** bulunamadı` };
+        }
+
+        return bot.navigateTo(target);
+    }
+
+    followPlayer(slot, username) {
+        const bot = this.bots.get(slot);
+        if (!bot) {
+            return { success: false, message: `❌ Slot **${slot}** bulunamadı` };
+        }
+
+        return bot.followPlayer(username);
+    }
+
+    haltBot(slot) {
+        const bot = this.bots.get(slot);
+        if (!bot) {
+            return { success: false, message: `❌ Slot **${slot}** bulunamadı` };
+        }
+
+        return bot.haltNavigation()
+            ? { success: true, message: `🛑 Slot **${slot}** hareketi durduruldu` }
+            : { success: false, message: `ℹ️ Slot **${slot}** şu an yürümüyor` };
+    }
+
+    async interactBot(slot, action, ...args) {
+        const bot = this.bots.get(slot);
+        if (!bot) {
+            return { success: false, message: `❌ Slot **${slot}** bulunamadı` };
+        }
+
+        return await bot.interact(action, ...args);
+    }
+
     async dropItem(slot, itemName, count) {
         const bot = this.bots.get(slot);
         if (!bot) {
@@ -475,6 +905,24 @@ export class BotManager {
         return await bot.dropItem(itemName, count);
     }
 
+    async listContainer(slot, pos) {
+        const bot = this.bots.get(slot);
+        if (!bot) {
+            return { success: false, message: `❌ Slot **${slot}** bulunamadı` };
+        }
+
+        return await bot.listContainer(pos);
+    }
+
+    async transferItems(slot, direction, pos, itemName, count) {
+        const bot = this.bots.get(slot);
+        if (!bot) {
+            return { success: false, message: `❌ Slot **${slot}** bulunamadı` };
+        }
+
+        return await bot.transferItems(direction, pos, itemName, count);
+    }
+
     getAvailableSlots() {
         return Array.from(this.bots.keys());
     }
@@ -528,6 +976,71 @@ export class BotManager {
         };
     }
 
+    getBaseRegions(slot) {
+        const bot = this.bots.get(slot);
+        if (!bot) {
+            return null;
+        }
+
+        const regions = bot.getBaseRegions().map(region => ({ ...region, description: describeRegion(region) }));
+        return { slot, hasProfile: Boolean(bot.afkProfile), regions };
+    }
+
+    // Regions live inside afkProfile, so an anchor has to be saved first.
+    async saveBaseRegions(slot, update) {
+        const bot = this.bots.get(slot);
+        if (!bot) {
+            return { success: false, message: `Slot ${slot} bulunamadı` };
+        }
+        if (!bot.afkProfile) {
+            return { success: false, message: `Slot ${slot} için önce \`/afkset ${slot}\` ile AFK noktası kaydedin` };
+        }
+
+        const result = update([...bot.getBaseRegions()]);
+        if (!result.success) {
+            return result;
+        }
+
+        const afkProfile = bot.setAfkProfile({ ...bot.afkProfile, regions: result.regions });
+        const accountConfig = this.config.minecraft.accounts.find(acc => acc.slot === slot);
+        if (accountConfig) {
+            accountConfig.afkProfile = afkProfile;
+        }
+
+        const saved = await this.saveConfig();
+        return {
+            success: saved,
+            message: saved ? result.message : `${result.message} ancak config dosyasına yazılamadı.`
+        };
+    }
+
+    async addBaseRegion(slot, rawRegion) {
+        const region = normalizeRegion(rawRegion);
+        if (!region) {
+            return { success: false, message: 'Geçersiz bölge. Cuboid için iki köşe, polygon için en az 3 köşe ve Y aralığı gerekli.' };
+        }
+
+        return this.saveBaseRegions(slot, (regions) => {
+            const index = regions.findIndex(existing => existing.name === region.name);
+            if (index !== -1) {
+                regions[index] = region;
+            } else {
+                regions.push(region);
+            }
+            return { success: true, regions, message: `Slot ${slot} üs alanı kaydedildi: ${region.name}` };
+        });
+    }
+
+    async removeBaseRegion(slot, name) {
+        return this.saveBaseRegions(slot, (regions) => {
+            const remaining = regions.filter(region => region.name !== name);
+            if (remaining.length === regions.length) {
+                return { success: false, message: `Bölge bulunamadı: ${name}` };
+            }
+            return { success: true, regions: remaining, message: `Slot ${slot} üs alanı silindi: ${name}` };
+        });
+    }
+
     async saveConfig() {
         try {
             const configPath = path.resolve('config.json');
@@ -576,6 +1089,79 @@ export class BotManager {
         await this.saveConfig();
         return { success: true, message: `Removed ${username} from whitelist` };
     }
+
+    getChatRules() {
+        const rules = Array.isArray(this.config.settings.chatRules) ? this.config.settings.chatRules : DEFAULT_CHAT_RULES;
+        return rules.map(rule => ({
+            ...rule,
+            hits: this.chatRuleStats.get(rule.name)?.hits || 0,
+            lastHitAt: this.chatRuleStats.get(rule.name)?.lastHitAt || null,
+            lastSlot: this.chatRuleStats.get(rule.name)?.lastSlot || null
+        }));
+    }
+
+    // First edit copies the built-in defaults into config so they become editable too.
+    getEditableChatRules() {
+        if (!Array.isArray(this.config.settings.chatRules)) {
+            this.config.settings.chatRules = DEFAULT_CHAT_RULES.map(rule => ({ ...rule }));
+        }
+        return this.config.settings.chatRules;
+    }
+
+    async addChatRule(rule) {
+        if (!CHAT_RULE_ACTIONS.includes(rule.action)) {
+            return { success: false, message: `Geçersiz aksiyon. Seçenekler: ${CHAT_RULE_ACTIONS.join(', ')}` };
+        }
+
+        try {
+            new RegExp(rule.pattern, 'i');
+        } catch (error) {
+            return { success: false, message: `Geçersiz regex: ${error.message}` };
+        }
+
+        if (rule.action === 'run-command' && !rule.command) {
+            return { success: false, message: 'run-command için komut gerekli (`=> /komut`)' };
+        }
+        if (rule.action === 'run-command' && CHAT_TEXT_PLACEHOLDER.test(rule.command)) {
+            return { success: false, message: 'run-command sadece `{slot}` yer tutucusunu destekler; `$1` ve `{message}` sadece notify mesajlarında kullanılabilir.' };
+        }
+
+        const rules = this.getEditableChatRules();
+        const existingIndex = rules.findIndex(r => r.name === rule.name);
+        if (existingIndex !== -1) {
+            rules[existingIndex] = rule;
+        } else {
+            rules.push(rule);
+        }
+
+        const saved = await this.saveConfig();
+        return { success: saved, message: saved ? `Kural kaydedildi: ${rule.name}` : 'Kural eklendi ancak config dosyasına yazılamadı.' };
+    }
+
+    async removeChatRule(name) {
+        const rules = this.getEditableChatRules();
+        const index = rules.findIndex(rule => rule.name === name);
+        if (index === -1) {
+            return { success: false, message: `Kural bulunamadı: ${name}` };
+        }
+
+        rules.splice(index, 1);
+        this.chatRuleStats.delete(name);
+        const saved = await this.saveConfig();
+        return { success: saved, message: saved ? `Kural silindi: ${name}` : 'Kural silindi ancak config dosyasına yazılamadı.' };
+    }
+
+    async setChatRuleEnabled(name, enabled) {
+        const rule = this.getEditableChatRules().find(r => r.name === name);
+        if (!rule) {
+            return { success: false, message: `Kural bulunamadı: ${name}` };
+        }
+
+        rule.enabled = enabled;
+        const saved = await this.saveConfig();
+        return { success: saved, message: saved ? `Kural ${enabled ? 'açıldı' : 'kapatıldı'}: ${name}` : 'Kural güncellendi ancak config dosyasına yazılamadı.' };
+    }
+
     async toggleProtection(slot, forceState = null) {
         const accountConfig = this.config.minecraft.accounts.find(acc => acc.slot === slot);
         if (!accountConfig) {
@@ -0,0 +1,95 @@
+import logger from './utils/Logger.js';
+
+export class ConnectionScheduler {
+    constructor(options = {}) {
+        this.maxConcurrent = Math.max(1, Number(options.maxConcurrent) || 1);
+        this.minGapMs = Math.max(0, Number(options.minGapMs) || 0);
+        // Safety net: a login that never settles must not hold its turn forever.
+        this.admitTimeoutMs = Math.max(5000, Number(options.admitTimeoutMs) || 90000);
+        this.waiting = []; // [{ slot, reason, resolve, enqueuedAt }]
+        this.active = new Map(); // slot -> { reason, admittedAt, timeout }
+        this.lastAdmitAt = 0;
+        this.pumpTimeout = null;
+    }
+
+    acquire(slot, reason = 'manual') {
+        if (this.active.has(slot)) {
+            this.release(slot);
+        }
+        this.cancel(slot);
+
+        return new Promise((resolve) => {
+            this.waiting.push({ slot, reason, resolve, enqueuedAt: Date.now() });
+            const position = this.getPosition(slot);
+            if (position > 1 || this.active.size >= this.maxConcurrent) {
+                logger.info(`Slot ${slot}: Queued for connection (position ${position}, reason: ${reason})`);
+            }
+            this.pump();
+        });
+    }
+
+    release(slot) {
+        const entry = this.active.get(slot);
+        if (!entry) {
+            return;
+        }
+
+        clearTimeout(entry.timeout);
+        this.active.delete(slot);
+        this.pump();
+    }
+
+    cancel(slot) {
+        const remaining = [];
+        for (const entry of this.waiting) {
+            if (entry.slot === slot) {
+                entry.resolve(false);
+            } else {
+                remaining.push(entry);
+            }
+        }
+        this.waiting = remaining;
+    }
+
+    getPosition(slot) {
+        const index = this.waiting.findIndex(entry => entry.slot === slot);
+        return index === -1 ? 0 : index + 1;
+    }
+
+    getSnapshot() {
+        return {
+            maxConcurrent: this.maxConcurrent,
+            minGapMs: this.minGapMs,
+            active: Array.from(this.active.keys()),
+            waiting: this.waiting.map(entry => entry.slot)
+        };
+    }
+
+    pump() {
+        if (this.pumpTimeout) {
+            return;
+        }
+
+        while (this.waiting.length > 0 && this.active.size < this.maxConcurrent) {
+            const wait = (this.lastAdmitAt + this.minGapMs) - Date.now();
+            if (wait > 0) {
+                this.pumpTimeout = setTimeout(() => {
+                    this.pumpTimeout = null;
+                    this.pump();
+                }, wait);
+                return;
+            }
+
+            const entry = this.waiting.shift();
+            this.lastAdmitAt = Date.now();
+
+            const timeout = setTimeout(() => {
+                logger.warn(`Slot ${entry.slot}: Connection turn not released after ${Math.round(this.admitTimeoutMs / 1000)}s, freeing queue slot.`);
+                this.release(entry.slot);
+            }, this.admitTimeoutMs);
+
+            this.active.set(entry.slot, { reason: entry.reason, admittedAt: this.lastAdmitAt, timeout });
+            entry.resolve(true);
+        }
+    }
+}
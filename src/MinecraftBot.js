@@ -3,55 +3,25 @@ import logger from './utils/Logger.js';
 import { InventoryManager } from './minecraft/managers/InventoryManager.js';
 import { ActivityManager } from './minecraft/managers/ActivityManager.js';
 import { ConnectionManager } from './minecraft/managers/ConnectionManager.js';
+import { ProxyManager } from './minecraft/managers/ProxyManager.js';
+import { KickManager } from './minecraft/managers/KickManager.js';
+import { ConnectWatchdog } from './minecraft/managers/ConnectWatchdog.js';
+import { HealthMonitor } from './minecraft/managers/HealthMonitor.js';
+import { ChatRuleManager } from './minecraft/managers/ChatRuleManager.js';
+import { LobbyReturnManager } from './minecraft/managers/LobbyReturnManager.js';
+import { LobbyDetector } from './minecraft/managers/LobbyDetector.js';
+import { AnchorRecovery } from './minecraft/managers/AnchorRecovery.js';
+import { AutoStash } from './minecraft/managers/AutoStash.js';
+import { EnderChestVault } from './minecraft/managers/EnderChestVault.js';
+import { ThreatPolicy } from './minecraft/managers/ThreatPolicy.js';
+import { normalizeRegions, measureRegions } from './minecraft/managers/BaseRegions.js';
+import { NavigationManager } from './minecraft/managers/NavigationManager.js';
+import { InteractionManager } from './minecraft/managers/InteractionManager.js';
 
 function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-function extractReasonText(value) {
-    if (!value) return '';
-    if (typeof value === 'string') return value;
-
-    if (Array.isArray(value)) {
-        return value.map(extractReasonText).filter(Boolean).join(' ').trim();
-    }
-
-    if (typeof value === 'object') {
-        const parts = [];
-
-        if (typeof value.text === 'string') {
-            parts.push(value.text);
-        }
-        if (typeof value.value === 'string') {
-            parts.push(value.value);
-        }
-        if (typeof value.translate === 'string') {
-            parts.push(value.translate);
-        }
-        if (value.with) {
-            parts.push(extractReasonText(value.with));
-        }
-        if (value.extra) {
-            parts.push(extractReasonText(value.extra));
-        }
-
-        return parts.filter(Boolean).join(' ').trim();
-    }
-
-    return String(value);
-}
-
-function formatKickReason(reason) {
-    const text = extractReasonText(reason);
-    if (text) return text;
-
-    try {
-        return JSON.stringify(reason);
-    } catch (error) {
-        return String(reason);
-    }
-}
-
 export class MinecraftBot {
     constructor(config, accountConfig) {
         this.config = config;
@@ -63,30 +33,47 @@ export class MinecraftBot {
         this.isManuallyStopped = false;
         this.manualStopRequested = false;
         this.reconnectAttempts = 0;
-        this.alreadyOnlineRetries = 0;
         this.sameKickStreak = 0;
         this.lastKickSignature = '';
         this.lastKickAt = 0;
+        this.kickRuleHits = new Map(); // rule name -> consecutive matches
+        this.kickHistory = [];
+        this.pendingServerWait = null;
         this.reconnectScheduleId = 0;
+        this.currentReconnectDelay = null;
+        this.nextReconnectAt = null;
         this.proximityInterval = null;
         this.alertCooldowns = new Map();
         this.onProximityAlert = null;
+        this.onPlayerSighting = null;
+        this.onBaseEvacuate = null;
         this.onLobbyDetected = null;
         this.onInventoryAlert = null;
+        this.onKickAlert = null;
+        this.onBanDetected = null;
+        this.onHealthAlert = null;
+        this.onChatRuleAlert = null;
+        this.chatRuleStats = null;
         this.tempReconnectDelay = null;
         this.protectionEnabled = this.config.settings.protection?.enabled || false;
         if (this.accountConfig.protectionEnabled !== undefined) { // Persistence override
             this.protectionEnabled = this.accountConfig.protectionEnabled;
         }
         this.reconnectTimeout = null;
+        this.connectionScheduler = null;
+        this.serverMonitor = null;
+        this.scheduledOffline = false;
         this.lastPosition = null;
         this.isInLobby = false;
-        this.lobbyRetryInterval = null;
         this.inventoryMonitorInterval = null;
+        this.healthMonitorInterval = null;
+        this.healthMetrics = null;
+        this.healthAlertState = new Set();
         this.inventoryAlertSent = false;
         this.toolAlertSent = new Set();
         this.lastProtectionTargetPos = null;
         this.afkDriftInterval = null;
+        this.anchorRecoveryState = { recoveries: 0, failures: 0, lastAt: null, lastResult: null };
         this.afkProfile = this.normalizeAfkProfile(this.accountConfig.afkProfile);
         if (this.afkProfile) {
             this.accountConfig.afkProfile = this.afkProfile;
@@ -98,8 +85,11 @@ export class MinecraftBot {
             totalUptime: 0,
             reconnects: 0,
             spawnersBroken: 0,
+            spawnersSecured: 0,
             alertsTriggered: 0,
             lobbyEvents: 0,
+            stalls: 0,
+            lastStall: null,
             lastDisconnect: null,
             sessionStart: Date.now()
         };
@@ -109,10 +99,24 @@ export class MinecraftBot {
 
         this.inventoryManager = new InventoryManager(this);
         this.activityManager = new ActivityManager(this);
+        this.threatPolicy = new ThreatPolicy(this);
         this.connectionManager = new ConnectionManager(this);
+        this.proxyManager = new ProxyManager(this);
+        this.kickManager = new KickManager(this);
+        this.connectWatchdog = new ConnectWatchdog(this);
+        this.healthMonitor = new HealthMonitor(this);
+        this.chatRuleManager = new ChatRuleManager(this);
+        this.lobbyReturnManager = new LobbyReturnManager(this);
+        this.lobbyDetector = new LobbyDetector(this);
+        this.anchorRecovery = new AnchorRecovery(this);
+        this.autoStash = new AutoStash(this);
+        this.enderChestVault = new EnderChestVault(this);
+        this.navigationManager = new NavigationManager(this);
+        this.interactionManager = new InteractionManager(this);
     }
 
     async start(startReason = 'manual') {
+        const automaticStartReasons = new Set(['reconnect', 'startup', 'schedule']);
         if (startReason === 'reconnect' && this.manualStopRequested) {
             logger.info(`Slot ${this.slot}: Reconnect start blocked - bot was manually stopped`);
             return false;
@@ -134,29 +138,66 @@ export class MinecraftBot {
             this.reconnectTimeout = null;
         }
         this.reconnectScheduleId++;
+        this.nextReconnectAt = null;
+        if (this.serverMonitor) {
+            this.serverMonitor.cancel(this.slot);
+        }
+
+        const quarantine = this.getQuarantine();
+        if (quarantine && automaticStartReasons.has(startReason)) {
+            logger.info(`Slot ${this.slot}: ${startReason} start blocked - account is quarantined (ban)`);
+            this.status = 'banned';
+            return false;
+        }
 
-        const manualStartReasons = new Set(['manual', 'restart', 'startup', 'account-add', 'account-add-finalize']);
+        const manualStartReasons = new Set(['manual', 'restart', 'startup', 'schedule', 'account-add', 'account-add-finalize']);
         if (manualStartReasons.has(startReason)) {
             this.manualStopRequested = false;
         }
 
+        // A configured but unparseable proxy must not turn into a direct connection from the host IP.
+        let proxy;
+        try {
+            proxy = this.proxyManager.resolveProxy();
+        } catch (error) {
+            logger.error(`Slot ${this.slot}: Refusing to start - proxy configuration error: ${error.message}`);
+            this.status = 'error';
+            return false;
+        }
+
         this.isConnecting = true;
         this.isManuallyStopped = false;
         this.status = 'connecting';
 
+        if (this.connectionScheduler) {
+            const admitted = await this.connectionScheduler.acquire(this.slot, startReason);
+            if (!admitted || this.isManuallyStopped || this.bot) {
+                logger.info(`Slot ${this.slot}: Connection queue entry cancelled (reason: ${startReason})`);
+                this.releaseConnectTurn();
+                this.isConnecting = false;
+                if (!this.bot) {
+                    this.status = 'offline';
+                }
+                return false;
+            }
+        }
+
         try {
-            logger.info(`Slot ${this.slot}: Starting bot for ${this.accountConfig.username} (reason: ${startReason})`);
+            logger.info(`Slot ${this.slot}: Starting bot for ${this.accountConfig.username} (reason: ${startReason}, server: ${this.getServerProfile().name})`);
 
+            const server = this.getServerProfile();
             const botOptions = {
-                host: this.config.minecraft.server.host,
-                port: this.config.minecraft.server.port || 25565,
+                host: server.host,
+                port: server.port,
                 username: this.accountConfig.username,
                 auth: this.accountConfig.auth || 'microsoft',
-                version: this.config.minecraft.server.version || false,
+                version: server.version,
                 hideErrors: false,
                 profilesFolder: `./sessions/${this.accountConfig.username || 'temp_' + Date.now()}`,
                 checkTimeoutInterval: 60000, // Keep-alive kontrolünü daha toleranslı yap
                 onMsaCode: (data) => {
+                    // Device-code login waits on a human; give it the longer auth deadline.
+                    this.connectWatchdog.enterPhase('auth');
                     if (this.accountConfig.onMsaCode) {
                         this.accountConfig.onMsaCode(data);
                     } else {
@@ -165,17 +206,49 @@ export class MinecraftBot {
                 }
             };
 
+            if (proxy) {
+                botOptions.connect = this.proxyManager.createConnectHandler(proxy, {
+                    host: botOptions.host,
+                    port: botOptions.port
+                });
+                logger.info(`Slot ${this.slot}: Connecting via proxy ${this.proxyManager.describeProxy(proxy)}`);
+            }
+
             this.bot = mineflayer.createBot(botOptions);
             this.setupEventHandlers();
+            this.connectWatchdog.enterPhase('connect');
             return true;
         } catch (error) {
             this.isConnecting = false;
+            this.releaseConnectTurn();
             logger.error(`Slot ${this.slot}: Failed to start bot: ${error.message}`);
             this.status = 'error';
             return false;
         }
     }
 
+    // Resolves the account's named server profile, falling back to minecraft.server.
+    getServerProfile() {
+        const servers = this.config.minecraft.servers || {};
+        const requested = this.accountConfig.server;
+        const hasProfile = requested && requested !== 'default' && servers[requested];
+        const profile = hasProfile ? servers[requested] : this.config.minecraft.server;
+
+        return {
+            name: hasProfile ? requested : 'default',
+            host: profile.host,
+            port: profile.port || 25565,
+            version: profile.version || false,
+            lobbyDetection: profile.lobbyDetection || null
+        };
+    }
+
+    releaseConnectTurn() {
+        if (this.connectionScheduler) {
+            this.connectionScheduler.release(this.slot);
+        }
+    }
+
     normalizeAfkProfile(afkProfile) {
         if (!afkProfile || typeof afkProfile !== 'object') {
             return null;
@@ -188,6 +261,15 @@ export class MinecraftBot {
             return null;
         }
 
+        // Facing is optional; profiles saved before it was recorded only have coordinates.
+        const anchor = { x: anchorX, y: anchorY, z: anchorZ };
+        const yaw = Number(afkProfile.anchor.yaw);
+        const pitch = Number(afkProfile.anchor.pitch);
+        if (afkProfile.anchor.yaw !== undefined && Number.isFinite(yaw) && Number.isFinite(pitch)) {
+            anchor.yaw = yaw;
+            anchor.pitch = pitch;
+        }
+
         const rawSpawners = Array.isArray(afkProfile.spawners) ? afkProfile.spawners : [];
         const unique = new Set();
         const spawners = [];
@@ -209,8 +291,9 @@ export class MinecraftBot {
         }
 
         return {
-            anchor: { x: anchorX, y: anchorY, z: anchorZ },
+            anchor,
             spawners,
+            regions: normalizeRegions(afkProfile.regions),
             updatedAt: typeof afkProfile.updatedAt === 'string'
                 ? afkProfile.updatedAt
                 : new Date().toISOString()
@@ -226,10 +309,19 @@ export class MinecraftBot {
         } else {
             delete this.accountConfig.afkProfile;
         }
+        this.navigationManager.clearAnchorHold();
 
         return this.afkProfile;
     }
 
+    getBaseRegions() {
+        return this.afkProfile?.regions || [];
+    }
+
+    measureBaseRegions(position) {
+        return measureRegions(this.getBaseRegions(), position);
+    }
+
     getAfkAnchor() {
         if (!this.afkProfile?.anchor) {
             return null;
@@ -276,8 +368,42 @@ export class MinecraftBot {
         return this.getDistanceFromReference(referencePos, currentPos);
     }
 
+    // Account afkThresholds override settings.afkThresholds field by field.
+    getAfkThresholds() {
+        const defaults = {
+            driftRadius: 20,
+            teleportDistance: 200,
+            returnRadius: null,
+            driftCheckIntervalMs: 5000,
+            lobbyRetryIntervalMs: 120000
+        };
+        const globalThresholds = this.config.settings.afkThresholds || {};
+        const accountThresholds = this.accountConfig.afkThresholds || {};
+
+        const thresholds = {};
+        const sources = {};
+        for (const [key, fallback] of Object.entries(defaults)) {
+            if (Number(accountThresholds[key]) > 0) {
+                thresholds[key] = Number(accountThresholds[key]);
+                sources[key] = 'account';
+            } else if (Number(globalThresholds[key]) > 0) {
+                thresholds[key] = Number(globalThresholds[key]);
+                sources[key] = 'global';
+            } else {
+                thresholds[key] = fallback;
+                sources[key] = 'default';
+            }
+        }
+
+        return { ...thresholds, sources };
+    }
+
     getLobbyReturnThreshold() {
-        return this.getAfkAnchor() ? 20 : 50;
+        const { returnRadius, driftRadius } = this.getAfkThresholds();
+        if (returnRadius) {
+            return returnRadius;
+        }
+        return this.getAfkAnchor() ? driftRadius : 50;
     }
 
     toBlockVec3(pos) {
@@ -377,13 +503,17 @@ export class MinecraftBot {
             anchor: {
                 x: Number(anchorPos.x),
                 y: Number(anchorPos.y),
-                z: Number(anchorPos.z)
+                z: Number(anchorPos.z),
+                yaw: Number(this.bot.entity.yaw),
+                pitch: Number(this.bot.entity.pitch)
             },
             spawners: spawnerPositions.map(pos => ({
                 x: Math.round(pos.x),
                 y: Math.round(pos.y),
                 z: Math.round(pos.z)
             })),
+            // Regions are drawn by hand with /region; a new anchor must not wipe them.
+            regions: this.afkProfile?.regions || [],
             updatedAt: new Date().toISOString()
         };
 
@@ -400,7 +530,7 @@ export class MinecraftBot {
     }
 
     checkAfkAnchorDrift(source = 'runtime') {
-        if (!this.bot || !this.bot.entity) {
+        if (!this.bot || !this.bot.entity || this.navigationManager.suppressesAnchorChecks()) {
             return false;
         }
 
@@ -414,18 +544,25 @@ export class MinecraftBot {
             return false;
         }
 
-        if (!this.isInLobby && distance > 20) {
-            logger.warn(`Slot ${this.slot}: AFK anchor drift (${Math.round(distance)} blocks) via ${source}. Entering lobby mode.`);
-            this.enterLobbyMode();
+        const { driftRadius } = this.getAfkThresholds();
+        if (!this.isInLobby && distance > driftRadius) {
+            if (this.enterLobbyMode(source)) {
+                logger.warn(`Slot ${this.slot}: AFK anchor drift (${Math.round(distance)} blocks) via ${source}. Entered lobby mode.`);
+            }
             return true;
         }
 
-        if (this.isInLobby && distance <= 20) {
-            logger.info(`Slot ${this.slot}: AFK anchor reached again (${Math.round(distance)} blocks) via ${source}. Exiting lobby mode.`);
-            this.exitLobbyMode();
+        if (this.isInLobby && distance <= driftRadius) {
+            if (this.exitLobbyMode(source)) {
+                logger.info(`Slot ${this.slot}: AFK anchor reached again (${Math.round(distance)} blocks) via ${source}. Exited lobby mode.`);
+            }
             return true;
         }
 
+        if (!this.isInLobby) {
+            this.anchorRecovery.handleDisplacement(distance, source);
+        }
+
         return false;
     }
 
@@ -437,7 +574,7 @@ export class MinecraftBot {
                 return;
             }
             this.checkAfkAnchorDrift('interval');
-        }, 5000);
+        }, Math.max(1000, this.getAfkThresholds().driftCheckIntervalMs));
     }
 
     stopAfkDriftCheck() {
@@ -447,17 +584,65 @@ export class MinecraftBot {
         }
     }
 
+    // A chat line claimed a teleport; confirm it against the AFK anchor before switching lobby state.
+    verifyTeleport(message) {
+        if (!this.isInLobby) {
+            setTimeout(() => {
+                if (this.bot && this.bot.entity && !this.isInLobby) {
+                    if (this.checkAfkAnchorDrift('chat')) {
+                        return;
+                    }
+
+                    const dist = this.getDistanceToHome(this.bot.entity.position);
+                    if (dist !== null && dist > this.getAfkThresholds().teleportDistance) {
+                        logger.warn(`Slot ${this.slot}: 🏢 TELEPORT DETECTED via chat: "${message}" (${Math.round(dist)} blocks). Entering lobby mode.`);
+                        this.enterLobbyMode('chat-teleport');
+                    }
+                }
+            }, 1000);
+        } else {
+            // Already in lobby → might be returning home via /home sp
+            setTimeout(() => {
+                if (this.bot && this.bot.entity && this.isInLobby) {
+                    if (this.checkAfkAnchorDrift('chat-return')) {
+                        return;
+                    }
+
+                    const dist = this.getDistanceToHome(this.bot.entity.position);
+                    if (dist !== null && dist <= this.getLobbyReturnThreshold()) {
+                        this.exitLobbyMode('chat-return');
+                    }
+                }
+            }, 1500);
+        }
+    }
+
     setupEventHandlers() {
+        let connectionEnded = false;
+
+        this.bot._client.once('connect', () => {
+            this.connectWatchdog.enterPhase('login');
+        });
+        this.healthMonitor.attach(this.bot);
+        this.lobbyDetector.attach(this.bot);
+        this.navigationManager.attach(this.bot);
+        this.anchorRecovery.attach(this.bot);
+        this.autoStash.attach(this.bot);
+
         this.bot.on('login', () => {
             logger.info(`Slot ${this.slot}: Logged in successfully`);
+            this.connectWatchdog.enterPhase('spawn');
             this.status = 'online';
             this.isConnecting = false;
+            this.releaseConnectTurn();
+            this.proxyManager.recordLogin();
             this.stats.connectedAt = Date.now();
             if (this.reconnectAttempts > 0) {
                 this.stats.reconnects++;
             }
             this.reconnectAttempts = 0;
-            this.alreadyOnlineRetries = 0;
+            this.currentReconnectDelay = null;
+            this.kickRuleHits.clear();
             this.sameKickStreak = 0;
             this.lastKickSignature = '';
             this.lastKickAt = 0;
@@ -472,15 +657,20 @@ export class MinecraftBot {
 
             if (this.onConnect) {
                 // Prefer real negotiated protocol version over configured value.
-                this.onConnect(this.config.minecraft.server.host, this.bot.version || this.config.minecraft.server.version);
+                const server = this.getServerProfile();
+                this.onConnect(server.host, this.bot.version || server.version, server.name);
             }
 
             this.startInventoryMonitor();
+            this.healthMonitor.start();
             this.startAfkDriftCheck();
         });
 
         this.bot.on('spawn', () => {
             logger.info(`Slot ${this.slot}: Spawned in game`);
+            if (this.connectWatchdog.phase === 'spawn') {
+                this.connectWatchdog.clear();
+            }
 
             // Re-apply sneak on every spawn to keep name tag hidden
             this.bot.setControlState('sneak', true);
@@ -494,9 +684,9 @@ export class MinecraftBot {
                 const currentPos = this.bot.entity.position;
                 const distance = this.getDistanceToHome(currentPos);
 
-                if (distance !== null && distance > 200 && !this.isInLobby) {
+                if (distance !== null && distance > this.getAfkThresholds().teleportDistance && !this.isInLobby) {
                     logger.warn(`Slot ${this.slot}: 🏢 LOBBY DETECTED! Teleported ${Math.round(distance)} blocks.`);
-                    this.enterLobbyMode();
+                    this.enterLobbyMode('spawn');
                     return;
                 }
             }
@@ -507,7 +697,7 @@ export class MinecraftBot {
                 const distToHome = this.getDistanceToHome(currentPos);
 
                 if (distToHome !== null && distToHome <= this.getLobbyReturnThreshold()) {
-                    this.exitLobbyMode();
+                    this.exitLobbyMode('spawn');
                 }
             }
 
@@ -518,7 +708,13 @@ export class MinecraftBot {
         });
 
         this.bot.on('end', () => {
+            // The watchdog may already have ended this client; ignore the late socket close.
+            if (connectionEnded) {
+                return;
+            }
+            connectionEnded = true;
             this.isConnecting = false;
+            this.releaseConnectTurn();
             logger.warn(`Slot ${this.slot}: Connection ended`);
             this.stats.lastDisconnect = Date.now();
             if (this.stats.connectedAt) {
@@ -538,121 +734,21 @@ export class MinecraftBot {
             }
         });
 
-        this.bot.on('kicked', (reason) => {
+        this.bot.on('kicked', (reason, loggedIn) => {
             this.isConnecting = false;
-            const reasonText = formatKickReason(reason);
-            logger.warn(`Slot ${this.slot}: Kicked from reason: ${reasonText}`);
-            this.status = 'kicked';
-
-            const reasonStr = String(reasonText || '').toLowerCase();
-            const maxAlreadyOnlineRetries = this.config.settings.maxAlreadyOnlineRetries ?? 3;
-            const alreadyOnlineReconnectDelay = this.config.settings.alreadyOnlineReconnectDelay ?? 120000;
-            const maxSameKickRetries = this.config.settings.maxSameKickRetries ?? 5;
-            const sameKickWindowMs = this.config.settings.sameKickWindowMs ?? 300000;
-            const now = Date.now();
-
-            if (
-                this.lastKickSignature === reasonStr &&
-                reasonStr &&
-                (now - this.lastKickAt) <= sameKickWindowMs
-            ) {
-                this.sameKickStreak++;
-            } else {
-                this.sameKickStreak = 1;
-            }
-
-            this.lastKickSignature = reasonStr;
-            this.lastKickAt = now;
-
-            if (this.sameKickStreak > 1) {
-                logger.warn(`Slot ${this.slot}: Same kick reason repeated (${this.sameKickStreak}/${maxSameKickRetries})`);
-            }
-
-            if (this.sameKickStreak >= maxSameKickRetries) {
-                logger.error(`Slot ${this.slot}: Kick loop protection triggered after ${this.sameKickStreak} repeated kicks. Auto-reconnect stopped for this slot.`);
-                this.isManuallyStopped = true;
-                return;
-            }
-
-            const isSessionConflict = (
-                reasonStr.includes('already online') ||
-                reasonStr.includes('already connected') ||
-                reasonStr.includes('another instance of game') ||
-                reasonStr.includes('logged in from another')
-            );
-
-            if (isSessionConflict) {
-                this.alreadyOnlineRetries++;
-                if (this.alreadyOnlineRetries >= maxAlreadyOnlineRetries) {
-                    logger.error(`Slot ${this.slot}: 'already online' repeated ${this.alreadyOnlineRetries} times. Auto-reconnect stopped for this slot.`);
-                    this.isManuallyStopped = true;
-                    return;
-                }
-
-                logger.warn(`Slot ${this.slot}: Detected session conflict kick. Waiting ${Math.round(alreadyOnlineReconnectDelay / 1000)}s before reconnect (${this.alreadyOnlineRetries}/${maxAlreadyOnlineRetries}).`);
-                this.tempReconnectDelay = alreadyOnlineReconnectDelay;
-            } else {
-                this.alreadyOnlineRetries = 0;
-            }
+            this.kickManager.handleKick(reason, loggedIn);
         });
 
         this.bot.on('error', (error) => {
             this.isConnecting = false;
+            this.releaseConnectTurn();
             logger.error(`Slot ${this.slot}: Error: ${error.message}`);
             this.status = 'error';
         });
 
         this.bot.on('messagestr', (message) => {
             logger.info(`Slot ${this.slot}: Chat: ${message}`);
-
-            // Detect teleportation via chat (e.g., server /spawn, /warp)
-            const msg = message.toLowerCase();
-
-            // CRITICAL: Detect "Servers are updating" message which teleports players to lobby/hub
-            if (msg.includes('servers are updating') || msg.includes('do not teleport')) {
-                logger.warn(`Slot ${this.slot}: 🚨 SERVER UPDATE DETECTED! Entering lobby mode immediately to prevent false alarms.`);
-                this.enterLobbyMode();
-                return;
-            }
-
-            if (msg.includes('teleported') || msg.includes('ışınlandı')) {
-                if (!this.isInLobby) {
-                    // Verify with position check before entering lobby mode
-                    setTimeout(() => {
-                        if (this.bot && this.bot.entity && !this.isInLobby) {
-                            if (this.checkAfkAnchorDrift('chat')) {
-                                return;
-                            }
-
-                            const dist = this.getDistanceToHome(this.bot.entity.position);
-                            if (dist !== null && dist > 200) {
-                                logger.warn(`Slot ${this.slot}: 🏢 TELEPORT DETECTED via chat: "${message}" (${Math.round(dist)} blocks). Entering lobby mode.`);
-                                this.enterLobbyMode();
-                            }
-                        }
-                    }, 1000);
-                } else {
-                    // Already in lobby → might be returning home via /home sp
-                    setTimeout(() => {
-                        if (this.bot && this.bot.entity && this.isInLobby) {
-                            if (this.checkAfkAnchorDrift('chat-return')) {
-                                return;
-                            }
-
-                            const dist = this.getDistanceToHome(this.bot.entity.position);
-                            if (dist !== null && dist <= this.getLobbyReturnThreshold()) {
-                                this.exitLobbyMode();
-                            }
-                        }
-                    }, 1500);
-                }
-            }
-
-            // Improve detection for "Your region started back up"
-            if (msg.includes('region started back up') || msg.includes('we will teleport you back')) {
-                logger.info(`Slot ${this.slot}: 🔄 Server region restarted! Teleport pending... Stopping lobby retry loops.`);
-                this.stopLobbyRetry(); // Stop spamming /home sp so we don't interfere with server teleport
-            }
+            this.chatRuleManager.handleMessage(message);
         });
 
         this.bot.on('forcedMove', () => {
@@ -668,23 +764,25 @@ export class MinecraftBot {
 
                 if (distToHome !== null && distToHome <= this.getLobbyReturnThreshold()) {
                     logger.info(`Slot ${this.slot}: ⚡ ForcedMove detected return to base (${Math.round(distToHome)} blocks away). Exiting lobby mode.`);
-                    this.exitLobbyMode();
+                    this.exitLobbyMode('forcedMove');
                 }
             } else if (this.bot && this.bot.entity && !this.isInLobby) {
                 // Also check for unexpected teleports AWAY from base via forcedMove
                 const currentPos = this.bot.entity.position;
                 const dist = this.getDistanceToHome(currentPos);
 
-                if (dist !== null && dist > 200) {
+                if (dist !== null && dist > this.getAfkThresholds().teleportDistance) {
                     logger.warn(`Slot ${this.slot}: ⚡ ForcedMove detected TELEPORT AWAY (${Math.round(dist)} blocks). Entering lobby mode.`);
-                    this.enterLobbyMode();
+                    this.enterLobbyMode('forcedMove');
                 }
             }
         });
     }
 
-    enterLobbyMode() {
-        if (this.isInLobby) return; // Already in lobby mode, prevent duplicate triggers
+    // transient carries one-off signals such as { chat: true } that the detectors cannot read from bot state.
+    enterLobbyMode(source = 'manual', transient = {}) {
+        if (this.isInLobby) return false; // Already in lobby mode, prevent duplicate triggers
+        if (!this.lobbyDetector.confirm(true, source, transient)) return false;
         this.isInLobby = true;
         this.stats.lobbyEvents++;
 
@@ -701,12 +799,16 @@ export class MinecraftBot {
 
         // Start retry loop to return home
         this.startLobbyRetry();
+        return true;
     }
 
-    exitLobbyMode() {
+    exitLobbyMode(source = 'manual') {
+        if (!this.lobbyDetector.confirm(false, source)) return false;
         logger.info(`Slot ${this.slot}: ✅ Returned from lobby! Resuming normal operation.`);
         this.isInLobby = false;
         this.stopLobbyRetry();
+        // The return command puts the bot back on its anchor, not wherever a /goto left it.
+        this.navigationManager.clearAnchorHold();
 
         if (this.onLobbyDetected) {
             this.onLobbyDetected(false);
@@ -993,6 +1095,10 @@ export class MinecraftBot {
             return;
         }
 
+        // Background walks must not keep steering the bot while protection takes over.
+        this.anchorRecovery.stop();
+        this.autoStash.stop();
+
         const protectionConfig = this.config.settings.protection || {};
         const startDelay = Math.max(0, protectionConfig.startDelay ?? 150);
         const blockName = protectionConfig.blockType || 'spawner';
@@ -1017,6 +1123,21 @@ export class MinecraftBot {
             }
         };
 
+        const vaultSettings = this.enderChestVault.getSettings();
+        const useVault = vaultSettings.enabled === true;
+        const vaultEvery = Math.max(1, Number(vaultSettings.everySpawners) || 4);
+        let totalSecured = 0;
+        let vaultErrorNotified = false;
+        const secureSpawners = async (reason) => {
+            const result = await this.enderChestVault.secureSpawners(blockName, reason);
+            totalSecured += result.secured;
+            if (result.error && !vaultErrorNotified) {
+                vaultErrorNotified = true;
+                notify(`⚠️ Slot ${this.slot}: Spawnerlar ender chest'e konulamadi (${result.error}).`);
+            }
+            return result.secured;
+        };
+
         if (startDelay > 0) {
             await sleep(startDelay);
         }
@@ -1060,7 +1181,7 @@ export class MinecraftBot {
                     return;
                 }
 
-                if (this.bot.inventory.emptySlotCount() <= 2) {
+                if (this.bot.inventory.emptySlotCount() <= 2 && !(useVault && await secureSpawners('inventory-full') > 0)) {
                     logger.warn(`Slot ${this.slot}: Inventory nearly full, stopping protection.`);
                     break;
                 }
@@ -1120,7 +1241,7 @@ export class MinecraftBot {
                         return;
                     }
 
-                    if (this.bot.inventory.emptySlotCount() <= 2) {
+                    if (this.bot.inventory.emptySlotCount() <= 2 && !(useVault && await secureSpawners('inventory-full') > 0)) {
                         logger.warn(`Slot ${this.slot}: Inventory nearly full, stopping protection.`);
                         shouldExitLoop = true;
                         break;
@@ -1159,6 +1280,10 @@ export class MinecraftBot {
                         const progressMsg = `[Spawner] Slot ${this.slot}: +1 spawner kirildi | Toplam: ${totalBroken}`;
                         logger.info(progressMsg);
                         notify(progressMsg);
+
+                        if (useVault && totalBroken % vaultEvery === 0) {
+                            await secureSpawners('periodic');
+                        }
                     } else if (breakResult.reason === 'no_inventory_gain' || breakResult.reason === 'missing_without_gain') {
                         lastStackTargetPos = targetPos.clone ? targetPos.clone() : targetPos;
                     } else if (breakResult.reason === 'dig_error') {
@@ -1195,6 +1320,10 @@ export class MinecraftBot {
                     await sleep(postBreakDelay);
                 }
             }
+
+            if (useVault && this.bot && this.status === 'online' && !this.isInLobby) {
+                await secureSpawners('final');
+            }
         } finally {
             if (this.bot && this.status === 'online' && !this.manualStopRequested) {
                 await this.ensureProtectionSneak();
@@ -1210,15 +1339,16 @@ export class MinecraftBot {
             return;
         }
 
+        const securedNote = useVault ? ` | Ender chest'e konulan: ${totalSecured}` : '';
         if (completedByClearingTargets && this.bot && this.status === 'online') {
-            const completeMsg = `[Spawner] Slot ${this.slot}: Tum spawnerlar temizlendi (${totalBroken}). /spawn 1-5 gidiliyor.`;
+            const completeMsg = `[Spawner] Slot ${this.slot}: Tum spawnerlar temizlendi (${totalBroken}${securedNote}). /spawn 1-5 gidiliyor.`;
             logger.info(completeMsg);
             notify(completeMsg);
             await this.retreatToRandomSpawnAndStop();
             return;
         }
 
-        const partialMsg = `⚠️ Slot ${this.slot}: Spawner kirma kismi tamamlandi. Kirilan spawner: ${totalBroken}`;
+        const partialMsg = `⚠️ Slot ${this.slot}: Spawner kirma kismi tamamlandi. Kirilan spawner: ${totalBroken}${securedNote}`;
         logger.warn(partialMsg);
         notify(partialMsg);
     }
@@ -1258,51 +1388,11 @@ export class MinecraftBot {
     }
 
     startLobbyRetry() {
-        this.stopLobbyRetry();
-
-        const retryIntervalMs = 120000;
-        const returnCmd = this.config.settings.lobbyReturnCommand || '/home sp';
-        logger.info(`Slot ${this.slot}: Starting lobby retry loop (every ${Math.round(retryIntervalMs / 1000)}s with ${returnCmd})`);
-
-        const sendReturnCommand = (reason = 'retry') => {
-            if (!this.bot || !this.isInLobby) {
-                return;
-            }
-
-            this.bot.chat(returnCmd);
-            logger.info(`Slot ${this.slot}: Sent ${returnCmd} (${reason})`);
-
-            // Fallback check: sometimes we might have already been teleported back but missed the event.
-            if (this.bot && this.bot.entity) {
-                if (this.checkAfkAnchorDrift('lobby-retry')) {
-                    return;
-                }
-
-                const distToHome = this.getDistanceToHome(this.bot.entity.position);
-                if (distToHome !== null && distToHome <= this.getLobbyReturnThreshold()) {
-                    logger.info(`Slot ${this.slot}: Lobby Retry Loop detected we are back at base (${Math.round(distToHome)}m). Exiting lobby mode.`);
-                    this.exitLobbyMode();
-                }
-            }
-        };
-
-        sendReturnCommand('initial');
-
-        this.lobbyRetryInterval = setInterval(() => {
-            if (!this.bot || !this.isInLobby) {
-                this.stopLobbyRetry();
-                return;
-            }
-
-            sendReturnCommand('retry');
-        }, retryIntervalMs);
+        this.lobbyReturnManager.start();
     }
 
     stopLobbyRetry() {
-        if (this.lobbyRetryInterval) {
-            clearInterval(this.lobbyRetryInterval);
-            this.lobbyRetryInterval = null;
-        }
+        this.lobbyReturnManager.stop();
     }
 
     startInventoryMonitor() {
@@ -1345,6 +1435,78 @@ export class MinecraftBot {
         return this.inventoryManager.dropItem(itemName, count);
     }
 
+    async listContainer(pos) {
+        return this.inventoryManager.listContainer(pos);
+    }
+
+    async transferItems(direction, pos, itemName, count = null) {
+        return this.inventoryManager.transferItems(direction, pos, itemName, count);
+    }
+
+    getProxyInfo() {
+        return this.proxyManager.getProxyInfo();
+    }
+
+    getKickHistory() {
+        return this.kickManager.getKickHistory();
+    }
+
+    navigateTo(target) {
+        return this.navigationManager.goto(target);
+    }
+
+    followPlayer(username) {
+        return this.navigationManager.follow(username);
+    }
+
+    haltNavigation() {
+        return this.navigationManager.halt();
+    }
+
+    async interact(action, ...args) {
+        switch (action) {
+            case 'look': return this.interactionManager.look(...args);
+            case 'lookat': return this.interactionManager.lookAt(...args);
+            case 'use': return this.interactionManager.useBlock(...args);
+            case 'useitem': return this.interactionManager.useItem();
+            case 'attack': return this.interactionManager.attack();
+            default: return { success: false, message: `Unknown interaction: ${action}` };
+        }
+    }
+
+    getAfkInfo() {
+        const position = this.bot?.entity?.position || null;
+        const anchor = this.getAfkAnchor();
+
+        return {
+            slot: this.slot,
+            username: this.accountConfig.username,
+            online: Boolean(this.bot) && this.status === 'online',
+            isInLobby: this.isInLobby,
+            anchor,
+            spawnerCount: this.afkProfile?.spawners?.length || 0,
+            position: position ? { x: position.x, y: position.y, z: position.z } : null,
+            distanceToAnchor: anchor ? this.getDistanceFromReference(anchor, position) : null,
+            distanceToHome: this.getDistanceToHome(position),
+            thresholds: this.getAfkThresholds(),
+            returnThreshold: this.getLobbyReturnThreshold(),
+            recovery: { ...this.anchorRecoveryState, tolerance: this.anchorRecovery.getSettings().tolerance },
+            anchorHold: this.navigationManager.awayFromAnchor
+        };
+    }
+
+    // Active ban quarantine persisted on the account, or null once it has expired.
+    getQuarantine() {
+        const quarantine = this.accountConfig.quarantine;
+        if (!quarantine) {
+            return null;
+        }
+        if (quarantine.expiresAt && quarantine.expiresAt <= Date.now()) {
+            return null;
+        }
+        return quarantine;
+    }
+
     cleanup() {
         this.connectionManager.cleanup();
     }
@@ -0,0 +1,376 @@
+import logger from './utils/Logger.js';
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MINUTE_MS = 60000;
+const MAX_LOOKAHEAD_MINUTES = 8 * 24 * 60;
+const MAX_LOOKBACK_MINUTES = 7 * 24 * 60;
+
+function parseClock(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+    if (!match) return null;
+
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (hours > 24 || minutes > 59 || (hours === 24 && minutes !== 0)) return null;
+    return (hours * 60) + minutes;
+}
+
+// "mon-fri", "sat,sun", "daily" / "*" -> Set of day indexes (0 = sunday)
+function parseDays(value) {
+    const spec = Array.isArray(value) ? value.join(',') : String(value || '*');
+    const days = new Set();
+
+    for (const part of spec.toLowerCase().split(',').map(p => p.trim()).filter(Boolean)) {
+        if (part === '*' || part === 'daily' || part === 'all') {
+            DAY_NAMES.forEach((_, index) => days.add(index));
+            continue;
+        }
+
+        const [from, to] = part.split('-').map(d => DAY_NAMES.indexOf(d.slice(0, 3)));
+        if (from === -1 || (to !== undefined && to === -1)) {
+            return null;
+        }
+
+        if (to === undefined) {
+            days.add(from);
+            continue;
+        }
+
+        for (let day = from; ; day = (day + 1) % 7) {
+            days.add(day);
+            if (day === to) break;
+        }
+    }
+
+    return days.size > 0 ? days : null;
+}
+
+function parseCronField(field, min, max) {
+    const values = new Set();
+
+    for (const part of String(field).split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) return null;
+
+        let start = min;
+        let end = max;
+        if (range !== '*') {
+            const [a, b] = range.split('-').map(Number);
+            start = a;
+            end = b === undefined ? (stepText === undefined ? a : max) : b;
+        }
+
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+            return null;
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value === 7 && max === 7 ? 0 : value);
+        }
+    }
+
+    return values;
+}
+
+// Standard 5-field cron: minute hour day-of-month month day-of-week
+function parseCron(expression) {
+    const fields = String(expression || '').trim().split(/\s+/);
+    if (fields.length !== 5) return null;
+
+    const parsed = {
+        minutes: parseCronField(fields[0], 0, 59),
+        hours: parseCronField(fields[1], 0, 23),
+        daysOfMonth: parseCronField(fields[2], 1, 31),
+        months: parseCronField(fields[3], 1, 12),
+        daysOfWeek: parseCronField(fields[4], 0, 7),
+        domRestricted: fields[2] !== '*',
+        dowRestricted: fields[4] !== '*'
+    };
+
+    return Object.values(parsed).some(v => v === null) ? null : parsed;
+}
+
+function cronDayMatches(cron, date) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+        return false;
+    }
+
+    const domMatch = cron.daysOfMonth.has(date.getDate());
+    const dowMatch = cron.daysOfWeek.has(date.getDay());
+    if (cron.domRestricted && cron.dowRestricted) {
+        return domMatch || dowMatch;
+    }
+    return domMatch && dowMatch;
+}
+
+// Closest cron minute at or after (direction 1) / at or before (direction -1) `from`, within limitMinutes.
+// Walks whole days and only expands the hour/minute sets of days that match, instead of testing every minute.
+function findCronMatch(cron, from, direction, limitMinutes) {
+    const limit = from + (direction * limitMinutes * MINUTE_MS);
+    const hours = [...cron.hours].sort((a, b) => a - b);
+    const minutes = [...cron.minutes].sort((a, b) => a - b);
+    if (direction < 0) {
+        hours.reverse();
+        minutes.reverse();
+    }
+
+    const start = new Date(from);
+    const maxDays = Math.ceil(limitMinutes / (24 * 60)) + 1;
+    for (let offset = 0; offset <= maxDays; offset++) {
+        const day = new Date(start.getFullYear(), start.getMonth(), start.getDate() + (direction * offset));
+        if (!cronDayMatches(cron, day)) continue;
+
+        for (const hour of hours) {
+            for (const minute of minutes) {
+                const candidate = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour, minute).getTime();
+                if (direction > 0 ? candidate < from : candidate > from) continue;
+                if (direction > 0 ? candidate > limit : candidate < limit) return null;
+                return candidate;
+            }
+        }
+    }
+    return null;
+}
+
+function floorToMinute(timestamp) {
+    return Math.floor(timestamp / MINUTE_MS) * MINUTE_MS;
+}
+
+export function normalizeSchedule(schedule) {
+    if (!schedule || typeof schedule !== 'object' || schedule.enabled === false) {
+        return null;
+    }
+
+    if (schedule.type === 'cron') {
+        const start = parseCron(schedule.start);
+        const stop = parseCron(schedule.stop);
+        if (!start || !stop) return null;
+        return { type: 'cron', start, stop, source: schedule };
+    }
+
+    const windows = [];
+    for (const window of Array.isArray(schedule.windows) ? schedule.windows : []) {
+        const days = parseDays(window?.days);
+        const start = parseClock(window?.start);
+        const end = parseClock(window?.end);
+        if (!days || start === null || end === null) continue;
+        windows.push({ days, start, end });
+    }
+
+    return windows.length > 0 ? { type: 'weekly', windows, source: schedule } : null;
+}
+
+function isInWeeklyWindows(windows, date) {
+    const day = date.getDay();
+    const previousDay = (day + 6) % 7;
+    const minute = (date.getHours() * 60) + date.getMinutes();
+
+    return windows.some(({ days, start, end }) => {
+        if (start === end) return days.has(day);
+        if (start < end) return days.has(day) && minute >= start && minute < end;
+        // Overnight window, e.g. 22:00-06:00 belongs to the day it starts on.
+        return (days.has(day) && minute >= start) || (days.has(previousDay) && minute < end);
+    });
+}
+
+// Online when the latest start match is newer than the latest stop match; a stop in the same minute wins.
+function isCronOnline(schedule, timestamp) {
+    const now = floorToMinute(timestamp);
+    const lastStart = findCronMatch(schedule.start, now, -1, MAX_LOOKBACK_MINUTES);
+    if (lastStart === null) return false;
+
+    const lastStop = findCronMatch(schedule.stop, now, -1, MAX_LOOKBACK_MINUTES);
+    return lastStop === null || lastStart > lastStop;
+}
+
+// Weekly windows only flip at their own start/end minutes, so only those are checked.
+function nextWeeklyTransition(windows, timestamp, online) {
+    const from = floorToMinute(timestamp) + MINUTE_MS;
+    const base = new Date(from);
+    const candidates = [];
+    for (let offset = -1; offset <= MAX_LOOKAHEAD_MINUTES / (24 * 60); offset++) {
+        for (const { start, end } of windows) {
+            for (const minute of [start, end]) {
+                const candidate = new Date(base.getFullYear(), base.getMonth(), base.getDate() + offset, 0, minute).getTime();
+                if (candidate >= from) candidates.push(candidate);
+            }
+        }
+    }
+
+    return candidates
+        .sort((a, b) => a - b)
+        .find(candidate => isInWeeklyWindows(windows, new Date(candidate)) !== online) ?? null;
+}
+
+export function getScheduleState(schedule, timestamp = Date.now()) {
+    if (!schedule) return null;
+
+    if (schedule.type === 'cron') {
+        const online = isCronOnline(schedule, timestamp);
+        const nextTransitionAt = findCronMatch(online ? schedule.stop : schedule.start, floorToMinute(timestamp) + MINUTE_MS, 1, MAX_LOOKAHEAD_MINUTES);
+        return { online, nextTransitionAt };
+    }
+
+    const online = isInWeeklyWindows(schedule.windows, new Date(timestamp));
+    return { online, nextTransitionAt: nextWeeklyTransition(schedule.windows, timestamp, online) };
+}
+
+export function describeSchedule(schedule) {
+    if (!schedule) return 'yok';
+
+    if (schedule.type === 'cron') {
+        return `cron start \`${schedule.source.start}\` / stop \`${schedule.source.stop}\``;
+    }
+
+    return schedule.source.windows
+        .map(window => `${Array.isArray(window.days) ? window.days.join(',') : (window.days || '*')} ${window.start}-${window.end}`)
+        .join(' · ');
+}
+
+export class ScheduleManager {
+    constructor(botManager) {
+        this.botManager = botManager;
+        this.interval = null;
+        this.lastAllowed = new Map(); // slot -> boolean
+        this.rotationOffset = 0;
+        this.lastRotationAt = Date.now();
+        this.allowedCache = null; // { minute, result } so per-slot startup checks share one computation
+    }
+
+    get settings() {
+        return this.botManager.config.settings.schedule || {};
+    }
+
+    getSchedule(slot) {
+        const accountConfig = this.botManager.getAccountConfig(slot);
+        return normalizeSchedule(accountConfig?.schedule);
+    }
+
+    start() {
+        this.stop();
+        if (this.settings.enabled === false) {
+            logger.info('Schedule manager disabled');
+            return;
+        }
+
+        const intervalMs = Math.max(5000, Number(this.settings.checkIntervalMs) || 30000);
+        this.interval = setInterval(() => {
+            this.tick().catch(error => logger.error(`Schedule tick failed: ${error.message}`));
+        }, intervalMs);
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+
+    // Slots whose schedule currently wants them online, capped/rotated by maxOnline.
+    computeAllowedSlots(now = Date.now()) {
+        const wanted = [];
+        const scheduled = [];
+
+        for (const slot of [...this.botManager.bots.keys()].sort((a, b) => a - b)) {
+            const schedule = this.getSchedule(slot);
+            if (!schedule) continue;
+            scheduled.push(slot);
+
+            const accountConfig = this.botManager.getAccountConfig(slot);
+            if (accountConfig?.autoStart === false) continue;
+            if (getScheduleState(schedule, now)?.online) {
+                wanted.push(slot);
+            }
+        }
+
+        const maxOnline = Math.max(0, Number(this.settings.maxOnline) || 0);
+        if (maxOnline === 0 || wanted.length <= maxOnline) {
+            return { scheduled, allowed: new Set(wanted) };
+        }
+
+        const rotationIntervalMs = Math.max(0, Number(this.settings.rotationIntervalMs) || 0);
+        if (rotationIntervalMs > 0 && (now - this.lastRotationAt) >= rotationIntervalMs) {
+            this.rotationOffset = (this.rotationOffset + maxOnline) % wanted.length;
+            this.lastRotationAt = now;
+        }
+
+        const allowed = new Set();
+        for (let i = 0; i < maxOnline; i++) {
+            allowed.add(wanted[(this.rotationOffset + i) % wanted.length]);
+        }
+        return { scheduled, allowed };
+    }
+
+    // Cached for the current minute; tick() and resetSlot() refresh it.
+    getAllowedSlots(now = Date.now()) {
+        const minute = floorToMinute(now);
+        if (this.allowedCache?.minute !== minute) {
+            this.allowedCache = { minute, result: this.computeAllowedSlots(now) };
+        }
+        return this.allowedCache.result;
+    }
+
+    isAllowedOnline(slot) {
+        if (!this.getSchedule(slot)) return true;
+        return this.getAllowedSlots().allowed.has(slot);
+    }
+
+    async tick() {
+        const now = Date.now();
+        const { scheduled, allowed } = this.computeAllowedSlots(now);
+        this.allowedCache = { minute: floorToMinute(now), result: { scheduled, allowed } };
+
+        for (const slot of scheduled) {
+            const shouldBeOnline = allowed.has(slot);
+            if (this.lastAllowed.get(slot) === shouldBeOnline) continue;
+            this.lastAllowed.set(slot, shouldBeOnline);
+
+            const bot = this.botManager.bots.get(slot);
+            if (!bot) continue;
+
+            const isRunning = Boolean(bot.bot) || bot.isConnecting || Boolean(bot.reconnectTimeout) || bot.status === 'waiting';
+            if (shouldBeOnline && !isRunning) {
+                logger.info(`Slot ${slot}: Schedule window opened, starting.`);
+                bot.scheduledOffline = false;
+                await bot.start('schedule');
+            } else if (!shouldBeOnline && isRunning) {
+                logger.info(`Slot ${slot}: Schedule window closed, stopping (autoStart unchanged).`);
+                bot.scheduledOffline = true;
+                await bot.stop();
+            } else {
+                bot.scheduledOffline = !shouldBeOnline;
+            }
+        }
+
+        for (const slot of [...this.lastAllowed.keys()]) {
+            if (!scheduled.includes(slot)) {
+                this.lastAllowed.delete(slot);
+            }
+        }
+    }
+
+    getSlotSchedule(slot) {
+        const schedule = this.getSchedule(slot);
+        if (!schedule) return null;
+
+        const state = getScheduleState(schedule);
+        return {
+            description: describeSchedule(schedule),
+            windowOpen: state.online,
+            allowed: this.lastAllowed.has(slot) ? this.lastAllowed.get(slot) : state.online,
+            nextTransitionAt: state.nextTransitionAt
+        };
+    }
+
+    // Forget the last decision so the next tick re-applies the (possibly new) schedule.
+    resetSlot(slot) {
+        this.lastAllowed.delete(slot);
+        this.invalidate();
+    }
+
+    // autoStart flips and slot shifts change the allowed set before the minute is over.
+    invalidate() {
+        this.allowedCache = null;
+    }
+}
@@ -0,0 +1,167 @@
+import mc from 'minecraft-protocol';
+import logger from './utils/Logger.js';
+
+function serverKey(server) {
+    return `${server.host}:${server.port}`;
+}
+
+export class ServerMonitor {
+    constructor(botManager) {
+        this.botManager = botManager;
+        this.servers = new Map(); // host:port -> { server, waiting: Map(slot -> { bot, readyAt }), timer, downSince, lastError }
+    }
+
+    get settings() {
+        return this.botManager.config.settings.serverProbe || {};
+    }
+
+    isEnabled() {
+        return this.settings.enabled !== false;
+    }
+
+    // Server list ping over the slot's own route, so a proxied slot never pings from the host IP; never throws.
+    async probe(server, bot = null) {
+        const timeoutMs = Math.max(1000, Number(this.settings.timeoutMs) || 5000);
+        try {
+            const options = {
+                host: server.host,
+                port: server.port,
+                closeTimeout: timeoutMs,
+                noPongTimeout: Math.min(timeoutMs, 5000)
+            };
+            const proxy = bot ? bot.proxyManager.resolveProxy() : null;
+            if (proxy) {
+                options.connect = bot.proxyManager.createConnectHandler(proxy, { host: server.host, port: server.port });
+            }
+            const response = await mc.ping(options);
+            return { reachable: true, latency: response?.latency ?? null, error: null };
+        } catch (error) {
+            return { reachable: false, latency: null, error: error?.message || String(error) };
+        }
+    }
+
+    // Park a slot until its server answers pings again. Does not consume reconnect attempts.
+    // options.minWaitMs keeps the slot parked even if the server answers earlier (e.g. whitelist maintenance kicks).
+    waitForServer(bot, server, error, options = {}) {
+        const key = serverKey(server);
+        let entry = this.servers.get(key);
+        const isNewOutage = !entry;
+
+        if (!entry) {
+            entry = { server, waiting: new Map(), timer: null, downSince: Date.now(), lastError: error };
+            this.servers.set(key, entry);
+        }
+
+        entry.lastError = error;
+        entry.waiting.set(bot.slot, { bot, readyAt: Date.now() + Math.max(0, Number(options.minWaitMs) || 0) });
+        bot.status = 'waiting';
+
+        if (options.source === 'kick') {
+            logger.warn(`Slot ${bot.slot}: Kicked from ${server.name} (${key}) with "${error}". Waiting for the server before reconnecting.`);
+        } else {
+            logger.warn(`Slot ${bot.slot}: Server ${server.name} (${key}) unreachable (${error}). Waiting for it to come back.`);
+        }
+
+        if (isNewOutage) {
+            const message = options.source === 'kick'
+                ? `⏸️ **Sunucu bekleniyor:** \`${server.name}\` (${key})\nSlot ${bot.slot} kick sebebi: ${error}\nSunucu tekrar uygun olana kadar reconnect denemesi harcanmıyor.`
+                : `🔌 **Sunucu çevrimdışı:** \`${server.name}\` (${key})\nSlotlar sunucu dönene kadar bekliyor, reconnect denemesi harcanmıyor.`;
+            this.botManager.broadcastMessage(message);
+            this.schedulePoll(key);
+        }
+    }
+
+    // One probe per poll serves every waiting slot; a proxied waiter carries it when there is one.
+    pickProbeBot(entry) {
+        for (const { bot } of entry.waiting.values()) {
+            try {
+                if (bot.proxyManager.resolveProxy()) return bot;
+            } catch (error) {
+                // start() refuses a malformed proxy anyway; it cannot carry the probe.
+            }
+        }
+        return null;
+    }
+
+    schedulePoll(key) {
+        const entry = this.servers.get(key);
+        if (!entry) return;
+
+        const pollIntervalMs = Math.max(5000, Number(this.settings.pollIntervalMs) || 30000);
+        entry.timer = setTimeout(() => {
+            entry.timer = null;
+            this.poll(key).catch(pollError => logger.error(`Server probe failed for ${key}: ${pollError.message}`));
+        }, pollIntervalMs);
+    }
+
+    async poll(key) {
+        const entry = this.servers.get(key);
+        if (!entry) return;
+
+        if (entry.waiting.size === 0) {
+            this.servers.delete(key);
+            return;
+        }
+
+        const result = await this.probe(entry.server, this.pickProbeBot(entry));
+        if (!this.servers.has(key)) return;
+
+        if (!result.reachable) {
+            entry.lastError = result.error;
+            this.schedulePoll(key);
+            return;
+        }
+
+        const now = Date.now();
+        const waitingBots = [];
+        for (const [slot, waiter] of entry.waiting) {
+            if (waiter.readyAt <= now) {
+                waitingBots.push(waiter.bot);
+                entry.waiting.delete(slot);
+            }
+        }
+        waitingBots.sort((a, b) => a.slot - b.slot);
+
+        if (entry.waiting.size > 0) {
+            this.schedulePoll(key);
+        } else {
+            this.servers.delete(key);
+        }
+
+        if (waitingBots.length === 0) {
+            return;
+        }
+
+        const downMinutes = Math.round((now - entry.downSince) / 60000);
+        logger.info(`Server ${entry.server.name} (${key}) reachable again after ${downMinutes} min. Reconnecting ${waitingBots.length} slot(s).`);
+        this.botManager.broadcastMessage(`✅ **Sunucu tekrar erişilebilir:** \`${entry.server.name}\` (${downMinutes} dk)\n${waitingBots.length} slot sırayla bağlanıyor: ${waitingBots.map(b => b.slot).join(', ')}`);
+
+        // Starts go through the shared connection queue, which staggers the logins.
+        for (const bot of waitingBots) {
+            if (bot.status !== 'waiting' || bot.manualStopRequested || bot.bot || bot.isConnecting) {
+                continue;
+            }
+            bot.status = 'offline';
+            bot.start('reconnect').catch(startError => logger.error(`Slot ${bot.slot}: Reconnect after outage failed: ${startError.message}`));
+        }
+    }
+
+    cancel(slot) {
+        for (const [key, entry] of this.servers) {
+            if (entry.waiting.delete(slot) && entry.waiting.size === 0) {
+                clearTimeout(entry.timer);
+                this.servers.delete(key);
+            }
+        }
+    }
+
+    getWaitInfo(slot) {
+        for (const entry of this.servers.values()) {
+            const waiter = entry.waiting.get(slot);
+            if (waiter) {
+                return { server: entry.server.name, downSince: entry.downSince, lastError: entry.lastError, readyAt: waiter.readyAt };
+            }
+        }
+        return null;
+    }
+}
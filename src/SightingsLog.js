@@ -0,0 +1,240 @@
+import fs from 'fs/promises';
+import path from 'path';
+import logger from './utils/Logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "30m", "12h", "7d" -> milliseconds; null when the text is not a duration.
+export function parseSince(value) {
+    const match = /^(\d+)\s*([mhd])$/i.exec(String(value || '').trim());
+    if (!match) return null;
+
+    const units = { m: 60000, h: 3600000, d: DAY_MS };
+    return Number(match[1]) * units[match[2].toLowerCase()];
+}
+
+// Persistent record of every non-whitelisted player the slots have seen, grouped into visits per base.
+export class SightingsLog {
+    constructor(botManager) {
+        this.botManager = botManager;
+        this.players = {}; // lowercase name -> { name, firstSeen, lastSeen, closestDistance, closestSlot, lastSlot, lastPosition, equipment, track, visits }
+        this.saveTimer = null;
+        this.dirty = false;
+    }
+
+    get settings() {
+        return {
+            enabled: true,
+            file: 'sightings.json',
+            visitGapMs: 600000,
+            repeatVisits: 3,
+            repeatWindowDays: 7,
+            trackIntervalMs: 30000,
+            trackLimit: 100,
+            maxVisits: 100,
+            retentionDays: 30,
+            saveDelayMs: 30000,
+            ...(this.botManager.config.settings.sightings || {})
+        };
+    }
+
+    isEnabled() {
+        return this.settings.enabled !== false;
+    }
+
+    get filePath() {
+        return path.resolve(this.settings.file);
+    }
+
+    async load() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+            this.players = data?.players && typeof data.players === 'object' ? data.players : {};
+            this.prune();
+            logger.info(`Loaded ${Object.keys(this.players).length} player sighting records`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn(`Failed to load sightings log: ${error.message}`);
+            }
+            this.players = {};
+        }
+    }
+
+    // Drops players nobody has seen within retentionDays.
+    prune() {
+        const cutoff = Date.now() - (Math.max(1, Number(this.settings.retentionDays) || 30) * DAY_MS);
+        for (const [key, entry] of Object.entries(this.players)) {
+            if (!entry?.lastSeen || entry.lastSeen < cutoff) {
+                delete this.players[key];
+            }
+        }
+    }
+
+    scheduleSave() {
+        this.dirty = true;
+        if (this.saveTimer) return;
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.flush().catch(() => { });
+        }, Math.max(1000, Number(this.settings.saveDelayMs) || 30000));
+        this.saveTimer.unref?.();
+    }
+
+    async flush() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        if (!this.dirty) return true;
+
+        this.dirty = false;
+        this.prune();
+        try {
+            await fs.writeFile(this.filePath, JSON.stringify({ version: 1, players: this.players }, null, 2));
+            return true;
+        } catch (error) {
+            this.dirty = true;
+            logger.error(`Failed to save sightings log: ${error.message}`);
+            return false;
+        }
+    }
+
+    // Slots without accountConfig.base count as their own base.
+    baseKey(slot, base) {
+        return base || `slot ${slot}`;
+    }
+
+    // sighting: { name, distance, position, equipment, region }; called for every player on every proximity scan.
+    record(slot, base, sighting) {
+        if (!this.isEnabled() || !sighting?.name) return;
+
+        const settings = this.settings;
+        const now = Date.now();
+        const key = sighting.name.toLowerCase();
+        const distance = Math.round(sighting.distance * 10) / 10;
+        const position = sighting.position
+            ? { x: Math.round(sighting.position.x), y: Math.round(sighting.position.y), z: Math.round(sighting.position.z) }
+            : null;
+
+        let entry = this.players[key];
+        if (!entry) {
+            entry = {
+                name: sighting.name,
+                firstSeen: now,
+                lastSeen: now,
+                closestDistance: distance,
+                closestSlot: slot,
+                lastSlot: slot,
+                lastPosition: position,
+                equipment: [],
+                track: [],
+                visits: []
+            };
+            this.players[key] = entry;
+        }
+
+        entry.name = sighting.name;
+        entry.lastSeen = now;
+        entry.lastSlot = slot;
+        if (position) entry.lastPosition = position;
+        if (distance < entry.closestDistance) {
+            entry.closestDistance = distance;
+            entry.closestSlot = slot;
+        }
+        // Only overwrite what we know; an unarmed look at a far player should not erase earlier gear.
+        if (Array.isArray(sighting.equipment) && sighting.equipment.length > 0) {
+            entry.equipment = sighting.equipment;
+        }
+
+        const baseName = this.baseKey(slot, base);
+        const visit = [...entry.visits].reverse().find(item => item.base === baseName);
+        if (visit && now - visit.end <= settings.visitGapMs) {
+            visit.end = now;
+            visit.closestDistance = Math.min(visit.closestDistance, distance);
+            if (!visit.slots.includes(slot)) visit.slots.push(slot);
+        } else {
+            entry.visits.push({ base: baseName, slots: [slot], start: now, end: now, closestDistance: distance });
+            if (entry.visits.length > settings.maxVisits) {
+                entry.visits.splice(0, entry.visits.length - settings.maxVisits);
+            }
+        }
+
+        const lastPoint = entry.track[entry.track.length - 1];
+        if (position && (!lastPoint || lastPoint.slot !== slot || now - lastPoint.at >= settings.trackIntervalMs)) {
+            entry.track.push({ at: now, slot, ...position, distance: Math.round(distance) });
+            if (entry.track.length > settings.trackLimit) {
+                entry.track.splice(0, entry.track.length - settings.trackLimit);
+            }
+        }
+
+        this.scheduleSave();
+    }
+
+    countVisits(entry, baseName, since) {
+        return entry.visits.filter(visit => visit.base === baseName && visit.end >= since).length;
+    }
+
+    // Repeat visitor: repeatVisits or more separate visits to the same base within repeatWindowDays.
+    getVisitorInfo(name, slot, base) {
+        const entry = this.players[String(name).toLowerCase()];
+        if (!entry) return null;
+
+        const settings = this.settings;
+        const baseName = this.baseKey(slot, base);
+        const visits = this.countVisits(entry, baseName, Date.now() - (settings.repeatWindowDays * DAY_MS));
+        return { base: baseName, visits, repeat: visits >= settings.repeatVisits, windowDays: settings.repeatWindowDays };
+    }
+
+    getPlayer(name) {
+        const entry = this.players[String(name).toLowerCase()];
+        if (!entry) return null;
+
+        const settings = this.settings;
+        const since = Date.now() - (settings.repeatWindowDays * DAY_MS);
+        const bases = new Map();
+        for (const visit of entry.visits) {
+            const info = bases.get(visit.base) || { base: visit.base, visits: 0, recentVisits: 0, lastSeen: 0, closestDistance: Infinity };
+            info.visits++;
+            if (visit.end >= since) info.recentVisits++;
+            info.lastSeen = Math.max(info.lastSeen, visit.end);
+            info.closestDistance = Math.min(info.closestDistance, visit.closestDistance);
+            bases.set(visit.base, info);
+        }
+
+        return {
+            ...entry,
+            bases: [...bases.values()]
+                .map(info => ({ ...info, repeat: info.recentVisits >= settings.repeatVisits }))
+                .sort((a, b) => b.lastSeen - a.lastSeen),
+            repeatVisits: settings.repeatVisits,
+            windowDays: settings.repeatWindowDays
+        };
+    }
+
+    // Players with a visit ending after `since`, optionally only the ones a given slot saw; most recent first.
+    getVisitors({ slot = null, since = 0 } = {}) {
+        const settings = this.settings;
+        const repeatSince = Date.now() - (settings.repeatWindowDays * DAY_MS);
+        const visitors = [];
+
+        for (const entry of Object.values(this.players)) {
+            const visits = entry.visits.filter(visit => visit.end >= since && (slot === null || visit.slots.includes(slot)));
+            if (visits.length === 0) continue;
+
+            const repeatBases = [...new Set(visits.map(visit => visit.base))]
+                .filter(baseName => this.countVisits(entry, baseName, repeatSince) >= settings.repeatVisits);
+            visitors.push({
+                name: entry.name,
+                visits: visits.length,
+                bases: [...new Set(visits.map(visit => visit.base))],
+                slots: [...new Set(visits.flatMap(visit => visit.slots))].sort((a, b) => a - b),
+                closestDistance: Math.min(...visits.map(visit => visit.closestDistance)),
+                lastSeen: Math.max(...visits.map(visit => visit.end)),
+                repeatBases
+            });
+        }
+
+        return visitors.sort((a, b) => b.lastSeen - a.lastSeen);
+    }
+}
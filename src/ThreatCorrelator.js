@@ -0,0 +1,136 @@
+import logger from './utils/Logger.js';
+
+const DISCONNECT_ACTIONS = new Set(['disconnect', 'disconnect-base']);
+
+// Merges proximity alerts of slots guarding the same base and tracks a player's path across bases.
+export class ThreatCorrelator {
+    constructor(botManager) {
+        this.botManager = botManager;
+        this.groups = new Map(); // "kind:player:place" -> { player, kind, base, place, pending: Map(slot -> entry), seen: Map(slot -> distance), reportedZones: Map(zone -> at), timer, lastAt }
+        this.movements = new Map(); // lowercase player -> [{ place, base, slots, at, firstAt }]
+    }
+
+    get settings() {
+        return {
+            mergeDelayMs: 3000,
+            mergeWindowMs: 60000,
+            correlationWindowMs: 180000,
+            ...(this.botManager.config.settings.threatCorrelation || {})
+        };
+    }
+
+    getBase(slot) {
+        return this.botManager.bots.get(slot)?.accountConfig.base || null;
+    }
+
+    // Other online slots that could report the same player shortly.
+    hasBasePartners(slot) {
+        return this.botManager.getBaseSlots(slot)
+            .some(other => other !== slot && this.botManager.bots.get(other)?.status === 'online');
+    }
+
+    prune(now) {
+        const { mergeWindowMs, correlationWindowMs } = this.settings;
+        for (const [key, group] of this.groups) {
+            if (!group.timer && now - group.lastAt > mergeWindowMs) {
+                this.groups.delete(key);
+            }
+        }
+        for (const [key, path] of this.movements) {
+            if (now - path[path.length - 1].at > correlationWindowMs) {
+                this.movements.delete(key);
+            }
+        }
+    }
+
+    add(slot, player, distance, threat = {}) {
+        const now = Date.now();
+        this.prune(now);
+
+        // Slots without accountConfig.base form a group of their own.
+        const base = this.getBase(slot);
+        const place = base || `slot ${slot}`;
+        const kind = threat.kind || 'player';
+        const key = `${kind}:${player.toLowerCase()}:${place}`;
+        let group = this.groups.get(key);
+        if (!group) {
+            group = { player, kind, base, place, pending: new Map(), seen: new Map(), reportedZones: new Map(), timer: null, lastAt: now };
+            this.groups.set(key, group);
+        }
+
+        group.lastAt = now;
+        group.seen.set(slot, Math.min(distance, group.seen.get(slot) ?? Infinity));
+
+        const urgent = (threat.actions || []).some(action => DISCONNECT_ACTIONS.has(action));
+        const current = group.pending.get(slot);
+        if (!current || distance < current.distance || urgent) {
+            group.pending.set(slot, { slot, distance, threat });
+        }
+
+        if (group.timer) {
+            if (urgent) this.flush(group);
+            return;
+        }
+
+        // The zone was reported for this base moments ago (usually by another base slot); only the slot list grows.
+        const reportedAt = group.reportedZones.get(threat.zone);
+        if (!urgent && reportedAt !== undefined && now - reportedAt <= this.settings.mergeWindowMs) {
+            group.pending.clear();
+            logger.info(`Slot ${slot}: Proximity alert for ${player} merged into the ${place} alert (zone ${threat.zone})`);
+            return;
+        }
+
+        if (urgent || !this.hasBasePartners(slot)) {
+            this.flush(group);
+            return;
+        }
+
+        group.timer = setTimeout(() => this.flush(group), this.settings.mergeDelayMs);
+    }
+
+    flush(group) {
+        if (group.timer) {
+            clearTimeout(group.timer);
+            group.timer = null;
+        }
+        if (group.pending.size === 0) return;
+
+        const entries = [...group.pending.values()].sort((a, b) => a.distance - b.distance);
+        group.pending.clear();
+        for (const entry of entries) {
+            if (entry.threat.zone) group.reportedZones.set(entry.threat.zone, Date.now());
+        }
+
+        const slots = [...group.seen.keys()].sort((a, b) => a - b);
+        this.botManager.sendProximityAlert({
+            player: group.player,
+            kind: group.kind,
+            base: group.base,
+            entries,
+            seen: slots.map(slot => ({ slot, distance: group.seen.get(slot) })),
+            // Entity types are not individuals, so only players get a movement path.
+            movement: group.kind === 'player' ? this.trackMovement(group, slots) : null
+        });
+    }
+
+    // Returns the bases the player passed through within correlationWindowMs when it includes another base.
+    trackMovement(group, slots) {
+        const now = Date.now();
+        const key = group.player.toLowerCase();
+        const { correlationWindowMs } = this.settings;
+        const path = (this.movements.get(key) || []).filter(step => now - step.at <= correlationWindowMs);
+
+        const last = path[path.length - 1];
+        if (last?.place === group.place) {
+            last.at = now;
+            last.slots = slots;
+        } else {
+            path.push({ place: group.place, base: group.base, slots, at: now, firstAt: now });
+        }
+        this.movements.set(key, path.slice(-5));
+
+        if (path.length < 2) return null;
+        logger.warn(`Threat correlation: ${group.player} moved ${path.map(step => step.place).join(' -> ')} within ${Math.round((now - path[0].firstAt) / 1000)}s`);
+        return { path: path.map(step => ({ base: step.base, slots: step.slots })), elapsedMs: now - path[0].firstAt };
+    }
+}
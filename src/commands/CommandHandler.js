@@ -1,6 +1,6 @@
 import { CommandParser } from './CommandParser.js';
 import logger from '../utils/Logger.js';
-import { handleSay, handleAll, handleMove } from './handlers/messageHandlers.js';
+import { handleSay, handleAll, handleMove, handleGoto, handleFollow, handleHalt, handleInteract, handleContainer, handleTransfer } from './handlers/messageHandlers.js';
 import {
     handleStatus,
     handleRestart,
@@ -14,7 +14,16 @@ import {
     handleWhitelist,
     handleStats,
     handleAfkSet,
-    handleProtect
+    handleAfkInfo,
+    handleRegion,
+    handleProtect,
+    handleProxy,
+    handleKicks,
+    handleSeen,
+    handleVisitors,
+    handleRules,
+    handleServer,
+    handleSchedule
 } from './handlers/adminHandlers.js';
 import {
     handleHelp,
@@ -74,6 +83,23 @@ export class CommandHandler {
                 case 'right':
                 case 'r':
                     return await this.handleMove(args, 'right');
+                case 'goto':
+                    return await this.handleGoto(args);
+                case 'follow':
+                    return await this.handleFollow(args);
+                case 'halt':
+                    return await this.handleHalt(args);
+                case 'look':
+                case 'lookat':
+                case 'use':
+                case 'useitem':
+                case 'attack':
+                    return await this.handleInteract(args, command);
+                case 'container':
+                    return await this.handleContainer(args);
+                case 'deposit':
+                case 'withdraw':
+                    return await this.handleTransfer(args, command);
                 case 'help':
                     return this.handleHelp(platform);
                 case 'whitelist':
@@ -84,8 +110,26 @@ export class CommandHandler {
                     return await this.handleProtect(args);
                 case 'afkset':
                     return await this.handleAfkSet(args);
+                case 'afkinfo':
+                    return await this.handleAfkInfo(args);
+                case 'region':
+                    return await this.handleRegion(args);
                 case 'stats':
                     return await this.handleStats(args);
+                case 'proxy':
+                    return await this.handleProxy(args);
+                case 'kicks':
+                    return await this.handleKicks(args);
+                case 'seen':
+                    return await this.handleSeen(args);
+                case 'visitors':
+                    return await this.handleVisitors(args);
+                case 'rules':
+                    return await this.handleRules(args);
+                case 'server':
+                    return await this.handleServer(args);
+                case 'schedule':
+                    return await this.handleSchedule(args);
                 default:
                     return { success: false, message: `Unknown command: ${command}` };
             }
@@ -135,6 +179,30 @@ export class CommandHandler {
         return handleMove(this, args, direction);
     }
 
+    async handleGoto(args) {
+        return handleGoto(this, args);
+    }
+
+    async handleFollow(args) {
+        return handleFollow(this, args);
+    }
+
+    async handleHalt(args) {
+        return handleHalt(this, args);
+    }
+
+    async handleInteract(args, action) {
+        return handleInteract(this, args, action);
+    }
+
+    async handleContainer(args) {
+        return handleContainer(this, args);
+    }
+
+    async handleTransfer(args, direction) {
+        return handleTransfer(this, args, direction);
+    }
+
     async handleWhitelist(args) {
         return handleWhitelist(this, args);
     }
@@ -147,10 +215,46 @@ export class CommandHandler {
         return handleAfkSet(this, args);
     }
 
+    async handleAfkInfo(args) {
+        return handleAfkInfo(this, args);
+    }
+
+    async handleRegion(args) {
+        return handleRegion(this, args);
+    }
+
     async handleProtect(args) {
         return handleProtect(this, args);
     }
 
+    async handleProxy(args) {
+        return handleProxy(this, args);
+    }
+
+    async handleKicks(args) {
+        return handleKicks(this, args);
+    }
+
+    async handleSeen(args) {
+        return handleSeen(this, args);
+    }
+
+    async handleVisitors(args) {
+        return handleVisitors(this, args);
+    }
+
+    async handleRules(args) {
+        return handleRules(this, args);
+    }
+
+    async handleServer(args) {
+        return handleServer(this, args);
+    }
+
+    async handleSchedule(args) {
+        return handleSchedule(this, args);
+    }
+
     handleHelp(platform) {
         return handleHelp(this, platform);
     }
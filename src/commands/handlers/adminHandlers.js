@@ -1,8 +1,24 @@
+import { parseSince } from '../../SightingsLog.js';
+
+function formatScheduleTime(timestamp) {
+    if (!timestamp) return '—';
+    const date = new Date(timestamp);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${pad(date.getDate())}.${pad(date.getMonth() + 1)} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function formatAgo(timestamp) {
+    const minutes = Math.floor((Date.now() - timestamp) / 60000);
+    if (minutes < 60) return `${minutes} dk önce`;
+    if (minutes < 48 * 60) return `${Math.floor(minutes / 60)} sa önce`;
+    return `${Math.floor(minutes / 1440)} gün önce`;
+}
+
 function formatAccountList(accounts) {
     let message = '📋 **Kayıtlı Hesaplar**\n━━━━━━━━━━━━━━━━━━━━\n';
     accounts.forEach(acc => {
         const statusEmoji = acc.status === 'online' ? '🟢' : (acc.status === 'offline' ? '⚫' : '🔴');
-        message += `${statusEmoji} **Slot ${acc.slot}** — ${acc.username}`;
+        message += `${statusEmoji} **Slot ${acc.slot}** — ${acc.username} | 🌍 ${acc.server}`;
         if (acc.health !== undefined) {
             message += ` | 💗 ${Math.round(acc.health)} 🍗 ${Math.round(acc.food)}`;
         }
@@ -89,7 +105,13 @@ export async function handleStats(ctx, args) {
             message += `\n${statusEmoji} **Slot ${stat.slot}** — ${stat.username}\n`;
             message += `  ⏱ Uptime: \`${stat.uptimeFormatted}\`\n`;
             message += `  🔄 Reconnect: **${stat.reconnects}** | ⚠️ Alert: **${stat.alertsTriggered}**\n`;
-            message += `  💎 Spawner: **${stat.spawnersBroken}** | 🏢 Lobby: **${stat.lobbyEvents}**\n`;
+            message += `  💎 Spawner: **${stat.spawnersBroken}** (🔒 ${stat.spawnersSecured}) | 🏢 Lobby: **${stat.lobbyEvents}**\n`;
+            if (stat.metrics) {
+                message += `  📡 Ping: **${stat.metrics.ping ?? '?'} ms** | ⚙️ TPS: **${stat.metrics.tps ?? '?'}**\n`;
+            }
+            if (stat.stalls > 0) {
+                message += `  🧊 Takılma: **${stat.stalls}** (son: \`${stat.lastStall.phase}\`)\n`;
+            }
         }
         message += '━━━━━━━━━━━━━━━━━━━━';
 
@@ -116,6 +138,7 @@ export async function handleStats(ctx, args) {
     message += `🔄 Reconnect Sayısı: **${stat.reconnects}**\n`;
     message += `⚠️ Alarm Sayısı: **${stat.alertsTriggered}**\n`;
     message += `💎 Kırılan Spawner: **${stat.spawnersBroken}**\n`;
+    message += `🔒 Ender Chest'e Konulan: **${stat.spawnersSecured}**\n`;
     message += `🏢 Lobby Olayları: **${stat.lobbyEvents}**`;
 
     if (stat.lastDisconnect) {
@@ -124,6 +147,18 @@ export async function handleStats(ctx, args) {
         message += `\n📡 Son Kopma: **${minutes} dk önce**`;
     }
 
+    if (stat.metrics) {
+        message += `\n📡 Ping: **${stat.metrics.ping ?? '?'} ms** | ⚙️ TPS: **${stat.metrics.tps ?? '?'}**`;
+        if (stat.metrics.lastKeepAliveAgoMs !== null) {
+            message += `\n💓 Son Keep-alive: **${Math.round(stat.metrics.lastKeepAliveAgoMs / 1000)} sn önce**`;
+        }
+    }
+
+    if (stat.stalls > 0) {
+        const minutes = Math.floor((Date.now() - stat.lastStall.at) / 60000);
+        message += `\n🧊 Bağlantı Takılması: **${stat.stalls}** (son: \`${stat.lastStall.phase}\` aşaması, ${minutes} dk önce)`;
+    }
+
     return { success: true, message };
 }
 
@@ -170,3 +205,445 @@ export async function handleProtect(ctx, args) {
 
     return { success: false, message: 'Kullanım: /protect <slot> [on|off]' };
 }
+
+export async function handleProxy(ctx, args) {
+    if (args.length === 0) {
+        return { success: false, message: '❌ Kullanım: `/proxy <slot>`' };
+    }
+
+    const slot = parseInt(args[0], 10);
+    if (isNaN(slot)) {
+        return { success: false, message: '❌ Geçersiz slot numarası' };
+    }
+
+    const info = ctx.botManager.getProxyInfo(slot);
+    if (!info) {
+        return { success: false, message: `❌ Slot **${slot}** bulunamadı` };
+    }
+
+    let message = `🌐 **Slot ${info.slot} Proxy**\n`;
+    message += `👤 Kullanıcı: **${info.username}**\n`;
+    message += `━━━━━━━━━━━━━━━━━━━━\n`;
+    message += `🔌 Proxy: \`${info.proxy}\` (${info.source})\n`;
+
+    if (!info.lastResult) {
+        message += '📡 Son bağlantı: **henüz denenmedi**';
+    } else {
+        const minutes = Math.floor((Date.now() - info.lastResult.at) / 60000);
+        const resultText = info.lastResult.ok ? `✅ başarılı (${info.lastResult.stage})` : `❌ başarısız (${info.lastResult.stage})`;
+        message += `📡 Son bağlantı: **${resultText}** — ${minutes} dk önce`;
+        if (info.lastResult.proxy !== info.proxy) {
+            message += `\n↪️ Önceki proxy: \`${info.lastResult.proxy}\``;
+        }
+        if (info.lastResult.error) {
+            message += `\n⚠️ Hata: \`${info.lastResult.error}\``;
+        }
+    }
+
+    return { success: true, message };
+}
+
+const THRESHOLD_SOURCE_LABELS = {
+    account: 'hesap',
+    global: 'global',
+    default: 'varsayılan'
+};
+
+export async function handleAfkInfo(ctx, args) {
+    if (args.length === 0) {
+        return { success: false, message: '❌ Kullanım: `/afkinfo <slot>`' };
+    }
+
+    const slot = parseInt(args[0], 10);
+    if (isNaN(slot)) {
+        return { success: false, message: '❌ Geçersiz slot numarası' };
+    }
+
+    const info = ctx.botManager.getAfkInfo(slot);
+    if (!info) {
+        return { success: false, message: `❌ Slot **${slot}** bulunamadı` };
+    }
+
+    const formatPos = (pos) => `${Math.round(pos.x)}, ${Math.round(pos.y)}, ${Math.round(pos.z)}`;
+    const { thresholds } = info;
+    const source = (key) => THRESHOLD_SOURCE_LABELS[thresholds.sources[key]] || thresholds.sources[key];
+
+    let message = `📍 **Slot ${info.slot} AFK Bilgisi**\n`;
+    message += `👤 Kullanıcı: **${info.username}**\n`;
+    message += `━━━━━━━━━━━━━━━━━━━━\n`;
+    message += info.anchor
+        ? `⚓ Anchor: \`${formatPos(info.anchor)}\` (${info.spawnerCount} spawner)\n`
+        : '⚓ Anchor: **kayıtlı değil** (`/afkset` ile kaydedin)\n';
+
+    if (!info.online || !info.position) {
+        message += '📡 Konum: **bot çevrimdışı**\n';
+    } else {
+        message += `🧭 Konum: \`${formatPos(info.position)}\`${info.isInLobby ? ' — 🏢 lobby modunda' : ''}\n`;
+        if (info.distanceToAnchor !== null) {
+            message += `📏 Anchor uzaklığı: **${info.distanceToAnchor.toFixed(1)}** blok\n`;
+        } else if (info.distanceToHome !== null) {
+            message += `📏 Son konuma uzaklık: **${info.distanceToHome.toFixed(1)}** blok\n`;
+        }
+    }
+
+    if (info.recovery.lastAt) {
+        const minutes = Math.floor((Date.now() - info.recovery.lastAt) / 60000);
+        const resultText = info.recovery.lastResult === 'ok' ? '✅ başarılı' : `❌ ${info.recovery.lastResult}`;
+        message += `🚶 Son geri yürüme: **${resultText}** — ${minutes} dk önce (toplam ${info.recovery.recoveries})\n`;
+    }
+
+    message += `━━━━━━━━━━━━━━━━━━━━\n`;
+    message += `↔️ Kayma yarıçapı: **${thresholds.driftRadius}** blok (${source('driftRadius')})\n`;
+    message += `🚀 Teleport mesafesi: **${thresholds.teleportDistance}** blok (${source('teleportDistance')})\n`;
+    message += `🚶 Geri yürüme toleransı: **${info.recovery.tolerance}** blok\n`;
+    message += `🏠 Dönüş yarıçapı: **${info.returnThreshold}** blok (${source('returnRadius')})\n`;
+    message += `⏱️ Kayma kontrolü: **${Math.round(thresholds.driftCheckIntervalMs / 1000)} sn** (${source('driftCheckIntervalMs')})\n`;
+    message += `🔄 Lobby deneme aralığı: **${Math.round(thresholds.lobbyRetryIntervalMs / 1000)} sn** (${source('lobbyRetryIntervalMs')})`;
+
+    return { success: true, message };
+}
+
+export async function handleRegion(ctx, args) {
+    const usage = '❌ Kullanım: `/region <slot> [list]`, `/region <slot> add <isim> cuboid <x1> <y1> <z1> <x2> <y2> <z2>`, ' +
+        '`/region <slot> add <isim> polygon <minY> <maxY> <x1> <z1> <x2> <z2> <x3> <z3> ...` veya `/region <slot> remove <isim>`';
+    if (args.length === 0) {
+        return { success: false, message: usage };
+    }
+
+    const slot = parseInt(args[0], 10);
+    if (isNaN(slot)) {
+        return { success: false, message: '❌ Geçersiz slot numarası' };
+    }
+
+    const action = (args[1] || 'list').toLowerCase();
+    if (action === 'list') {
+        const info = ctx.botManager.getBaseRegions(slot);
+        if (!info) {
+            return { success: false, message: `❌ Slot **${slot}** bulunamadı` };
+        }
+        if (info.regions.length === 0) {
+            return { success: true, message: `🏠 **Slot ${slot}** için üs alanı yok. Mesafe kontrolü küresel yapılır.` };
+        }
+
+        let message = `🏠 **Slot ${slot} Üs Alanları** (${info.regions.length})\n━━━━━━━━━━━━━━━━━━━━\n`;
+        for (const region of info.regions) {
+            message += `• **${region.name}** — ${region.description}\n`;
+        }
+        return { success: true, message: message.trim() };
+    }
+
+    if (action === 'remove' || action === 'delete') {
+        if (args.length < 3) {
+            return { success: false, message: usage };
+        }
+        const result = await ctx.botManager.removeBaseRegion(slot, args[2]);
+        return { success: result.success, message: `${result.success ? '✅' : '❌'} ${result.message}` };
+    }
+
+    if (action !== 'add' || args.length < 4) {
+        return { success: false, message: usage };
+    }
+
+    const name = args[2];
+    const type = args[3].toLowerCase();
+    const numbers = args.slice(4).map(Number);
+    if (numbers.some(value => !Number.isFinite(value))) {
+        return { success: false, message: usage };
+    }
+
+    let region;
+    if (type === 'cuboid' && numbers.length === 6) {
+        const [x1, y1, z1, x2, y2, z2] = numbers;
+        region = { name, type, from: { x: x1, y: y1, z: z1 }, to: { x: x2, y: y2, z: z2 } };
+    } else if (type === 'polygon' && numbers.length >= 8 && numbers.length % 2 === 0) {
+        const [minY, maxY, ...coords] = numbers;
+        const points = [];
+        for (let i = 0; i < coords.length; i += 2) {
+            points.push({ x: coords[i], z: coords[i + 1] });
+        }
+        region = { name, type, minY, maxY, points };
+    } else {
+        return { success: false, message: usage };
+    }
+
+    const result = await ctx.botManager.addBaseRegion(slot, region);
+    return { success: result.success, message: `${result.success ? '✅' : '❌'} ${result.message}` };
+}
+
+const KICK_ACTION_LABELS = {
+    'reconnect': '🔄 yeniden bağlan',
+    'stop': '⛔ durdur',
+    'notify-critical': '🚨 kritik bildirim',
+    'wait-for-server': '⏸️ sunucuyu bekle',
+    'loop-stop': '🔁 kick döngüsü, durdur'
+};
+
+export async function handleKicks(ctx, args) {
+    if (args.length === 0) {
+        return { success: false, message: '❌ Kullanım: `/kicks <slot>`' };
+    }
+
+    const slot = parseInt(args[0], 10);
+    if (isNaN(slot)) {
+        return { success: false, message: '❌ Geçersiz slot numarası' };
+    }
+
+    const history = ctx.botManager.getKickHistory(slot);
+    if (!history) {
+        return { success: false, message: `❌ Slot **${slot}** bulunamadı` };
+    }
+
+    let message = `👢 **Slot ${history.slot} Kick Geçmişi**\n`;
+    message += `👤 Kullanıcı: **${history.username}**\n`;
+    message += `━━━━━━━━━━━━━━━━━━━━\n`;
+
+    if (history.kicks.length === 0) {
+        message += '✅ Bu oturumda kick kaydı yok.';
+        return { success: true, message };
+    }
+
+    for (const kick of history.kicks.slice(0, 10)) {
+        const minutes = Math.floor((Date.now() - kick.at) / 60000);
+        const reason = kick.reason.length > 120 ? `${kick.reason.slice(0, 117)}...` : kick.reason;
+        message += `• ${minutes} dk önce — ${KICK_ACTION_LABELS[kick.action] || kick.action}`;
+        message += kick.rule ? ` (\`${kick.rule}\`)\n` : '\n';
+        message += `  ${reason}\n`;
+    }
+
+    if (history.kicks.length > 10) {
+        message += `… ve ${history.kicks.length - 10} kayıt daha\n`;
+    }
+    if (history.sameKickStreak > 1) {
+        message += `🔁 Aynı sebep üst üste: **${history.sameKickStreak}**`;
+    }
+
+    return { success: true, message: message.trim() };
+}
+
+export async function handleSeen(ctx, args) {
+    if (args.length === 0) {
+        return { success: false, message: '❌ Kullanım: `/seen <oyuncu>`' };
+    }
+
+    const player = ctx.botManager.getPlayerSightings(args[0]);
+    if (!player) {
+        return { success: true, message: `👁️ **${args[0]}** için görülme kaydı yok` };
+    }
+
+    let message = `👁️ **${player.name}** — Görülme Kaydı\n━━━━━━━━━━━━━━━━━━━━\n`;
+    message += `🕐 İlk: **${formatScheduleTime(player.firstSeen)}** | Son: **${formatScheduleTime(player.lastSeen)}** (${formatAgo(player.lastSeen)}, Slot ${player.lastSlot})\n`;
+    message += `📏 En yakın: **${Math.round(player.closestDistance)}** blok (Slot ${player.closestSlot})\n`;
+    if (player.lastPosition) {
+        message += `📍 Son konum: \`${player.lastPosition.x}, ${player.lastPosition.y}, ${player.lastPosition.z}\`\n`;
+    }
+    if (player.equipment.length > 0) {
+        message += `🛡️ Ekipman: ${player.equipment.join(', ')}\n`;
+    }
+
+    message += `\n🏠 **Ziyaretler** (son ${player.windowDays} gün / toplam)\n`;
+    for (const base of player.bases) {
+        message += `${base.repeat ? '🔁' : '•'} **${base.base}**: ${base.recentVisits} / ${base.visits} ziyaret, en yakın ${Math.round(base.closestDistance)} blok, son ${formatAgo(base.lastSeen)}\n`;
+    }
+    if (player.bases.some(base => base.repeat)) {
+        message += `🔁 = ${player.windowDays} gün içinde ${player.repeatVisits}+ kez gelen tekrar ziyaretçi\n`;
+    }
+
+    const track = player.track.slice(-5);
+    if (track.length > 0) {
+        message += '\n🧭 **Son Hareketler**\n';
+        for (const point of track) {
+            message += `• ${formatScheduleTime(point.at)} Slot ${point.slot} → \`${point.x}, ${point.y}, ${point.z}\` (${point.distance} blok)\n`;
+        }
+    }
+
+    return { success: true, message: message.trim() };
+}
+
+export async function handleVisitors(ctx, args) {
+    let slot = null;
+    let sinceText = '24h';
+    for (const arg of args.slice(0, 2)) {
+        if (/^\d+$/.test(arg)) {
+            slot = parseInt(arg, 10);
+        } else {
+            sinceText = arg;
+        }
+    }
+
+    const sinceMs = parseSince(sinceText);
+    if (sinceMs === null) {
+        return { success: false, message: '❌ Kullanım: `/visitors [slot] [süre]` (süre örn. `30m`, `12h`, `7d`)' };
+    }
+
+    const visitors = ctx.botManager.getVisitors(slot, Date.now() - sinceMs);
+    if (!visitors) {
+        return { success: false, message: `❌ Slot **${slot}** bulunamadı` };
+    }
+
+    const scope = slot === null ? 'Tüm Slotlar' : `Slot ${slot}`;
+    let message = `👥 **Ziyaretçiler — ${scope}** (son ${sinceText})\n━━━━━━━━━━━━━━━━━━━━\n`;
+    if (visitors.length === 0) {
+        message += '✅ Bu sürede görülen oyuncu yok.';
+        return { success: true, message };
+    }
+
+    for (const visitor of visitors.slice(0, 20)) {
+        message += `${visitor.repeatBases.length > 0 ? '🔁' : '•'} **${visitor.name}** — ${visitor.visits} ziyaret, en yakın ${Math.round(visitor.closestDistance)} blok, ${formatAgo(visitor.lastSeen)}`;
+        message += ` (Slot ${visitor.slots.join(', ')}`;
+        message += visitor.repeatBases.length > 0 ? ` | tekrar: ${visitor.repeatBases.join(', ')})\n` : ')\n';
+    }
+    if (visitors.length > 20) {
+        message += `… ve ${visitors.length - 20} oyuncu daha\n`;
+    }
+    message += `━━━━━━━━━━━━━━━━━━━━\n📊 Toplam: **${visitors.length}** oyuncu | 🔁 **${visitors.filter(visitor => visitor.repeatBases.length > 0).length}** tekrar gelen`;
+
+    return { success: true, message };
+}
+
+export async function handleRules(ctx, args) {
+    const action = (args[0] || 'list').toLowerCase();
+
+    if (action === 'list') {
+        const rules = ctx.botManager.getChatRules();
+        if (rules.length === 0) {
+            return { success: true, message: '📜 **Chat kuralı yok**\n💡 Eklemek için: `/rules add <isim> <aksiyon> <regex>`' };
+        }
+
+        let message = `📜 **Chat Kuralları** (${rules.length})\n━━━━━━━━━━━━━━━━━━━━\n`;
+        for (const rule of rules) {
+            const stateEmoji = rule.enabled === false ? '⏸️' : '▶️';
+            message += `${stateEmoji} **${rule.name}** → \`${rule.action}\` | 🎯 ${rule.hits} eşleşme`;
+            if (rule.lastHitAt) {
+                message += ` (son: Slot ${rule.lastSlot}, ${Math.floor((Date.now() - rule.lastHitAt) / 60000)} dk önce)`;
+            }
+            message += `\n  \`${rule.pattern}\``;
+            if (rule.command) message += ` ⇒ \`${rule.command}\``;
+            if (rule.message) message += ` ⇒ ${rule.message}`;
+            message += '\n';
+        }
+        return { success: true, message: message.trim() };
+    }
+
+    if (action === 'add' || action === 'set') {
+        if (args.length < 4) {
+            return { success: false, message: '❌ Kullanım: `/rules add <isim> <aksiyon> <regex> [=> komut/mesaj]`' };
+        }
+
+        const [, name, ruleAction] = args;
+        const [pattern, argument] = args.slice(3).join(' ').split(/\s*=>\s*/, 2);
+        const rule = { name, pattern, action: ruleAction.toLowerCase() };
+        if (rule.action === 'run-command' && argument) rule.command = argument;
+        if (rule.action === 'notify' && argument) rule.message = argument;
+
+        const result = await ctx.botManager.addChatRule(rule);
+        return { success: result.success, message: `${result.success ? '✅' : '❌'} ${result.message}` };
+    }
+
+    if (args.length < 2) {
+        return { success: false, message: `❌ Kullanım: \`/rules ${action} <isim>\`` };
+    }
+
+    const name = args[1];
+    let result;
+    if (action === 'remove' || action === 'delete') {
+        result = await ctx.botManager.removeChatRule(name);
+    } else if (action === 'on' || action === 'enable') {
+        result = await ctx.botManager.setChatRuleEnabled(name, true);
+    } else if (action === 'off' || action === 'disable') {
+        result = await ctx.botManager.setChatRuleEnabled(name, false);
+    } else {
+        return { success: false, message: '❌ Bilinmeyen işlem. Kullanım: `list`, `add`, `remove`, `on`, `off`' };
+    }
+
+    return { success: result.success, message: `${result.success ? '✅' : '❌'} ${result.message}` };
+}
+
+export async function handleServer(ctx, args) {
+    if (args.length === 0) {
+        return { success: false, message: '❌ Kullanım: `/server <slot> [sunucu]`' };
+    }
+
+    const slot = parseInt(args[0], 10);
+    if (isNaN(slot)) {
+        return { success: false, message: '❌ Geçersiz slot numarası' };
+    }
+
+    if (args.length === 1) {
+        const status = ctx.botManager.getBotStatus(slot);
+        if (!status) {
+            return { success: false, message: `❌ Slot **${slot}** bulunamadı` };
+        }
+        const available = ctx.botManager.getServerNames().map(n => `\`${n}\``).join(', ');
+        return { success: true, message: `🌍 Slot **${slot}** sunucusu: \`${status.server}\`\n📋 Mevcut profiller: ${available}` };
+    }
+
+    return await ctx.botManager.setAccountServer(slot, args[1]);
+}
+
+export async function handleSchedule(ctx, args) {
+    const usage = '❌ Kullanım: `/schedule list`, `/schedule set <slot> <günler> <SS:DD-SS:DD>` veya `/schedule clear <slot>`';
+    if (args.length === 0) {
+        return { success: false, message: usage };
+    }
+
+    const action = args[0].toLowerCase();
+
+    if (action === 'list') {
+        const entries = ctx.botManager.getScheduleList().filter(entry => entry.schedule);
+        if (entries.length === 0) {
+            return { success: true, message: '⏰ Programlı slot yok.\n💡 Eklemek için: `/schedule set <slot> mon-fri 22:00-06:00`' };
+        }
+
+        let message = '⏰ **Çevrimiçi Programları**\n━━━━━━━━━━━━━━━━━━━━\n';
+        for (const entry of entries) {
+            const { schedule } = entry;
+            const stateEmoji = schedule.allowed ? '🟢' : '⚫';
+            const nextLabel = schedule.windowOpen ? 'kapanış' : 'açılış';
+            message += `${stateEmoji} **Slot ${entry.slot}** — ${entry.username}\n`;
+            message += `  📅 ${schedule.description}\n`;
+            message += `  ⏭️ Sonraki ${nextLabel}: **${formatScheduleTime(schedule.nextTransitionAt)}**\n`;
+        }
+        return { success: true, message: message.trim() };
+    }
+
+    if (args.length < 2) {
+        return { success: false, message: usage };
+    }
+
+    const slot = parseInt(args[1], 10);
+    if (isNaN(slot)) {
+        return { success: false, message: '❌ Geçersiz slot numarası' };
+    }
+
+    if (action === 'clear' || action === 'remove') {
+        return await ctx.botManager.clearSchedule(slot);
+    }
+
+    if (action !== 'set') {
+        return { success: false, message: usage };
+    }
+
+    const spec = args.slice(2);
+    if (spec[0]?.toLowerCase() === 'cron') {
+        if (spec.length !== 11) {
+            return { success: false, message: '❌ Kullanım: `/schedule set <slot> cron <5 alan başlangıç> <5 alan bitiş>`' };
+        }
+        return await ctx.botManager.setSchedule(slot, {
+            type: 'cron',
+            start: spec.slice(1, 6).join(' '),
+            stop: spec.slice(6, 11).join(' ')
+        });
+    }
+
+    if (spec.length === 0 || spec.length % 2 !== 0) {
+        return { success: false, message: usage };
+    }
+
+    const windows = [];
+    for (let i = 0; i < spec.length; i += 2) {
+        const [start, end] = spec[i + 1].split('-');
+        windows.push({ days: spec[i], start, end });
+    }
+
+    return await ctx.botManager.setSchedule(slot, { type: 'weekly', windows });
+}
@@ -29,6 +29,10 @@ export function handleTelegramHelp() {
 /start <slot>
 /stop <slot>
 /restart <slot|all>
+/server <slot> [sunucu]
+/schedule list
+/schedule set <slot> <gunler> <SS:DD-SS:DD>
+/schedule clear <slot>
 
 **Hesap Yonetimi**
 /account add
@@ -40,10 +44,22 @@ export function handleTelegramHelp() {
 /back <slot> <blok> (/b)
 /left <slot> <blok> (/l)
 /right <slot> <blok> (/r)
+/goto <slot> <x> <y> <z>
+/goto <slot> anchor
+/follow <slot> <oyuncu>
+/halt <slot>
+/look <slot> <yaw> <pitch>
+/lookat <slot> <x> <y> <z>
+/use <slot> <x> <y> <z>
+/useitem <slot>
+/attack <slot>
 
 **Esya**
 /drop <slot> all
 /drop <slot> <esya> [adet]
+/container <slot> <x> <y> <z>
+/deposit <slot> <x> <y> <z> <esya|all> [adet]
+/withdraw <slot> <x> <y> <z> <esya|all> [adet]
 
 **Guvenlik**
 /whitelist add <oyuncu>
@@ -51,6 +67,13 @@ export function handleTelegramHelp() {
 /whitelist list
 /protect <slot> [on|off]
 /afkset <slot>
+/afkinfo <slot>
+/region <slot> [list|add|remove]
+/proxy <slot>
+/kicks <slot>
+/seen <oyuncu>
+/visitors [slot] [sure]
+/rules [list|add|remove|on|off]
 
 **Slot formatlari:** 1 - 1,2,3 - 1-5 - all
         `.trim();
@@ -79,7 +102,7 @@ export function handleDiscordHelp() {
                 },
                 {
                     name: '🎮 Bot Kontrolü',
-                    value: '`/start <slot>` — Botu başlat\n`/stop <slot>` — Botu durdur\n`/restart <slot|all>` — Yeniden başlat',
+                    value: '`/start <slot>` — Botu başlat\n`/stop <slot>` — Botu durdur\n`/restart <slot|all>` — Yeniden başlat\n`/server <slot> [sunucu]` — Sunucu profilini değiştir\n`/schedule list|set|clear` — Çevrimiçi programları',
                     inline: true
                 },
                 {
@@ -89,17 +112,17 @@ export function handleDiscordHelp() {
                 },
                 {
                     name: '🏃 Hareket',
-                    value: '`/forward <slot> <blok>` — İleri git\n`/back <slot> <blok>` — Geri git\n`/left <slot> <blok>` — Sola git\n`/right <slot> <blok>` — Sağa git',
+                    value: '`/forward <slot> <blok>` — İleri git\n`/back <slot> <blok>` — Geri git\n`/left <slot> <blok>` — Sola git\n`/right <slot> <blok>` — Sağa git\n`/goto <slot> <x> <y> <z|anchor>` — Pathfinder ile hedefe git\n`/follow <slot> <oyuncu>` — Whitelist oyuncusunu takip et\n`/halt <slot>` — Yürümeyi/takibi durdur\n`/look <slot> <yaw> <pitch>` — Yöne bak (F3 açıları)\n`/lookat <slot> <x> <y> <z>` — Bloğa bak\n`/use <slot> <x> <y> <z>` — Bloğu kullan (şalter, buton, kapı, tabela)\n`/useitem <slot>` — Eldeki eşyayı kullan\n`/attack <slot>` — Öndeki varlığa vur',
                     inline: true
                 },
                 {
                     name: '🗑️ Eşya',
-                    value: '`/drop <slot> all` — Tüm eşyaları bırak\n`/drop <slot> <eşya> [adet]` — Belirli eşya bırak',
+                    value: '`/drop <slot> all` — Tüm eşyaları bırak\n`/drop <slot> <eşya> [adet]` — Belirli eşya bırak\n`/container <slot> <x> <y> <z>` — Sandık/varil/shulker içeriği\n`/deposit <slot> <x> <y> <z> <eşya|all> [adet]` — Sandığa koy\n`/withdraw <slot> <x> <y> <z> <eşya|all> [adet]` — Sandıktan al',
                     inline: true
                 },
                 {
                     name: '🛡️ Güvenlik',
-                    value: '`/whitelist add <oyuncu>` — Whitelist\'e ekle\n`/whitelist remove <oyuncu>` — Whitelist\'ten çıkar\n`/whitelist list` — Whitelist\'i göster\n`/protect <slot> [on|off]` — Lobby + spawner korumasını aç/kapat\n`/afkset <slot>` — AFK anchor + spawner kaydı al',
+                    value: '`/whitelist add <oyuncu>` — Whitelist\'e ekle\n`/whitelist remove <oyuncu>` — Whitelist\'ten çıkar\n`/whitelist list` — Whitelist\'i göster\n`/protect <slot> [on|off]` — Lobby + spawner korumasını aç/kapat\n`/afkset <slot>` — AFK anchor + spawner kaydı al\n`/afkinfo <slot>` — Anchor uzaklığı ve lobby eşikleri\n`/region <slot> [list|add|remove]` — Üs alanları (cuboid/polygon)\n`/proxy <slot>` — Slotun proxy bilgisi ve son bağlantı sonucu\n`/kicks <slot>` — Slotun kick geçmişi ve uygulanan kural\n`/seen <oyuncu>` — Oyuncunun görülme kaydı ve ziyaretleri\n`/visitors [slot] [süre]` — Son görülen oyuncular (örn. `12h`, `7d`)\n`/rules [list|add|remove|on|off]` — Chat tetikleyici kuralları ve eşleşme sayıları',
                     inline: false
                 }
             ],
@@ -127,20 +150,46 @@ export function handleGenericHelp() {
 /account remove 1 - Remove account 1
 /account list - List accounts
 /start 1 - Start slot 1
+/server 1 <name> - Move slot 1 to another server profile
+/schedule list - Show online schedules
+/schedule set 1 mon-fri 22:00-06:00 - Online window for slot 1
+/schedule clear 1 - Remove slot 1 schedule
 
 **Inventory:**
 /inv 1 - Show slot 1 inventory
 /drop 1 all - Drop all items
+/container 1 100 64 -200 - List a chest, barrel or shulker
+/deposit 1 100 64 -200 spawner - Put all spawners into the chest
+/withdraw 1 100 64 -200 bread 16 - Take 16 bread from the chest
 
 **Movement:**
 /forward 1 5 - Move slot 1 forward 5 blocks
 /backward 1 5 - Move slot 1 backward 5 blocks
+/goto 1 100 64 -200 - Pathfind slot 1 to coordinates
+/goto 1 anchor - Walk slot 1 back to its AFK anchor
+/follow 1 <player> - Follow a whitelisted player
+/halt 1 - Stop walking/following
+/look 1 90 0 - Face yaw 90, pitch 0 (F3 degrees)
+/lookat 1 100 64 -200 - Look at a block
+/use 1 100 64 -200 - Activate a block (lever, button, door, sign)
+/useitem 1 - Use the held item
+/attack 1 - Hit the entity in front
 
 **Security:**
 /whitelist add <player> - Add player to alert whitelist
 /whitelist list - Show whitelisted players
 /protect <slot> [on|off] - Toggle lobby + spawner protection
 /afkset <slot> - Save AFK anchor + nearby spawners
+/afkinfo <slot> - Show anchor distance and drift/lobby thresholds
+/region <slot> add <name> cuboid x1 y1 z1 x2 y2 z2 - Define a base region
+/region <slot> add <name> polygon minY maxY x1 z1 x2 z2 x3 z3 ... - Define a polygon base region
+/proxy <slot> - Show slot proxy and last connection result
+/kicks <slot> - Show slot kick history and matched rules
+/seen <player> - Player sighting history, visits and movement track
+/visitors [slot] [since] - Players seen recently (e.g. 12h, 7d), repeat visitors flagged
+/rules list - Chat trigger rules with hit counts
+/rules add <name> <action> <regex> [=> command/message] - Add or replace a chat rule
+/rules remove|on|off <name> - Remove, enable or disable a chat rule
 /stats [slot] - Bot statistics
     `.trim();
 
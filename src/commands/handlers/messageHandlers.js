@@ -90,3 +90,143 @@ export async function handleMove(ctx, args, direction) {
         message: `${emoji} **${successful}/${validation.slots.length}** bot **${distance}** blok **${tr}** hareket etti`
     };
 }
+
+function parseCoords(values) {
+    const [x, y, z] = values.slice(0, 3).map(Number);
+    if (values.length < 3 || ![x, y, z].every(Number.isFinite)) {
+        return null;
+    }
+    return { x, y, z };
+}
+
+export async function handleGoto(ctx, args) {
+    const usage = '❌ Kullanım: `/goto <slot> <x> <y> <z>` veya `/goto <slot> anchor`';
+    if (args.length < 2) {
+        return { success: false, message: usage };
+    }
+
+    const slot = parseInt(args[0], 10);
+    if (isNaN(slot)) {
+        return { success: false, message: '❌ Geçersiz slot numarası' };
+    }
+
+    if (args[1].toLowerCase() === 'anchor') {
+        return ctx.botManager.navigateBot(slot, 'anchor');
+    }
+
+    const target = parseCoords(args.slice(1));
+    if (!target) {
+        return { success: false, message: usage };
+    }
+
+    return ctx.botManager.navigateBot(slot, target);
+}
+
+export async function handleFollow(ctx, args) {
+    if (args.length < 2) {
+        return { success: false, message: '❌ Kullanım: `/follow <slot> <oyuncu>`' };
+    }
+
+    const slot = parseInt(args[0], 10);
+    if (isNaN(slot)) {
+        return { success: false, message: '❌ Geçersiz slot numarası' };
+    }
+
+    return ctx.botManager.followPlayer(slot, args[1]);
+}
+
+export async function handleHalt(ctx, args) {
+    if (args.length === 0) {
+        return { success: false, message: '❌ Kullanım: `/halt <slot>`' };
+    }
+
+    const slot = parseInt(args[0], 10);
+    if (isNaN(slot)) {
+        return { success: false, message: '❌ Geçersiz slot numarası' };
+    }
+
+    return ctx.botManager.haltBot(slot);
+}
+
+// /look, /lookat, /use, /useitem, /attack share the slot parsing; coordinates/angles follow the slot.
+export async function handleInteract(ctx, args, action) {
+    const usages = {
+        look: '/look <slot> <yaw> <pitch>',
+        lookat: '/lookat <slot> <x> <y> <z>',
+        use: '/use <slot> <x> <y> <z>',
+        useitem: '/useitem <slot>',
+        attack: '/attack <slot>'
+    };
+    const usage = `❌ Kullanım: \`${usages[action]}\``;
+
+    if (args.length === 0) {
+        return { success: false, message: usage };
+    }
+
+    const slot = parseInt(args[0], 10);
+    if (isNaN(slot)) {
+        return { success: false, message: '❌ Geçersiz slot numarası' };
+    }
+
+    if (action === 'look') {
+        const yaw = Number(args[1]);
+        const pitch = Number(args[2]);
+        if (args.length < 3 || !Number.isFinite(yaw) || !Number.isFinite(pitch)) {
+            return { success: false, message: usage };
+        }
+        return ctx.botManager.interactBot(slot, 'look', yaw, pitch);
+    }
+
+    if (action === 'lookat' || action === 'use') {
+        const target = parseCoords(args.slice(1));
+        if (!target) {
+            return { success: false, message: usage };
+        }
+        return ctx.botManager.interactBot(slot, action, target);
+    }
+
+    return ctx.botManager.interactBot(slot, action);
+}
+
+export async function handleContainer(ctx, args) {
+    const usage = '❌ Kullanım: `/container <slot> <x> <y> <z>`';
+    if (args.length < 4) {
+        return { success: false, message: usage };
+    }
+
+    const slot = parseInt(args[0], 10);
+    if (isNaN(slot)) {
+        return { success: false, message: '❌ Geçersiz slot numarası' };
+    }
+
+    const target = parseCoords(args.slice(1));
+    if (!target) {
+        return { success: false, message: usage };
+    }
+
+    return ctx.botManager.listContainer(slot, target);
+}
+
+export async function handleTransfer(ctx, args, direction) {
+    const usage = `❌ Kullanım: \`/${direction} <slot> <x> <y> <z> <eşya|all> [adet]\``;
+    if (args.length < 5) {
+        return { success: false, message: usage };
+    }
+
+    const slot = parseInt(args[0], 10);
+    if (isNaN(slot)) {
+        return { success: false, message: '❌ Geçersiz slot numarası' };
+    }
+
+    const target = parseCoords(args.slice(1));
+    if (!target) {
+        return { success: false, message: usage };
+    }
+
+    const count = args.length > 5 ? parseInt(args[5], 10) : null;
+    if (count !== null && (isNaN(count) || count <= 0)) {
+        return { success: false, message: '❌ Geçersiz adet' };
+    }
+
+    return ctx.botManager.transferItems(slot, direction, target, args[4].toLowerCase(), count);
+}
@@ -1,4 +1,9 @@
-import logger from '../../utils/Logger.js';
+// Visible gear of another player: held items first, then armor.
+function describeEquipment(entity) {
+    return (entity.equipment || [])
+        .filter(Boolean)
+        .map(item => item.name);
+}
 
 export class ActivityManager {
     constructor(owner) {
@@ -9,40 +14,52 @@ export class ActivityManager {
         const checkInterval = 2500 + (this.owner.slot * 100);
 
         this.owner.proximityInterval = setInterval(() => {
-            if (!this.owner.bot || this.owner.status !== 'online' || this.owner.isInLobby) return;
+            if (!this.owner.bot?.entity || this.owner.status !== 'online' || this.owner.isInLobby) return;
 
-            const cooldown = this.owner.config.settings.alertCooldown || 300000;
-            const now = Date.now();
             const currentWhitelist = (this.owner.config.settings.alertWhitelist || []).map(u => u.toLowerCase());
 
             const players = Object.values(this.owner.bot.entities).filter(e =>
                 e.type === 'player' &&
                 e.username !== this.owner.accountConfig.username &&
                 !currentWhitelist.includes(e.username.toLowerCase()) &&
-                e.position && this.owner.bot.entity
+                e.position
             );
 
-            for (const entity of players) {
-                const distance = this.owner.bot.entity.position.distanceTo(entity.position);
-                const emergencyDistance = this.owner.config.settings.protection?.emergencyDistance || 10;
-
-                if (distance <= emergencyDistance) {
-                    logger.error(`Slot ${this.owner.slot}: 🚨 EMERGENCY: ${entity.username} at ${Math.round(distance)}m! DISCONNECTING! 🚨`);
-                    if (this.owner.onProximityAlert) this.owner.onProximityAlert(entity.username, distance);
-                    this.owner._protectionRunning = false;
-                    this.owner.stop();
-                    return;
-                }
+            const policy = this.owner.threatPolicy.getPolicy();
+            const threats = players
+                .map(entity => ({
+                    name: entity.username,
+                    kind: 'player',
+                    distance: this.owner.bot.entity.position.distanceTo(entity.position),
+                    region: this.owner.measureBaseRegions(entity.position),
+                    position: entity.position,
+                    equipment: describeEquipment(entity)
+                }));
 
-                const lastAlert = this.owner.alertCooldowns.get(entity.username) || 0;
-                if (now - lastAlert > cooldown) {
-                    this.owner.alertCooldowns.set(entity.username, now);
-                    logger.info(`Slot ${this.owner.slot}: Threat detected (${entity.username} at ${Math.round(distance)}m).`);
+            // Hostile entity rules match mineflayer entity names (creeper, tnt, end_crystal, wither, ...).
+            for (const entity of Object.values(this.owner.bot.entities)) {
+                const entityName = entity.name?.toLowerCase();
+                if (entity.type === 'player' || !entity.position || !policy.entityNames.has(entityName)) continue;
+                threats.push({
+                    name: entityName,
+                    kind: entityName,
+                    distance: this.owner.bot.entity.position.distanceTo(entity.position),
+                    region: this.owner.measureBaseRegions(entity.position)
+                });
+            }
+            threats.sort((a, b) => a.distance - b.distance);
 
-                    this.owner.executeProtection();
+            // Log every sighting before responding so a disconnect zone cannot hide the players behind it.
+            if (this.owner.onPlayerSighting) {
+                for (const threat of threats) {
+                    if (threat.kind === 'player') this.owner.onPlayerSighting(threat);
+                }
+            }
 
-                    this.owner.stats.alertsTriggered++;
-                    if (this.owner.onProximityAlert) this.owner.onProximityAlert(entity.username, distance);
+            for (const threat of threats) {
+                const zone = this.owner.threatPolicy.classify(policy, threat);
+                if (zone && this.owner.threatPolicy.respond(policy, zone, threat)) {
+                    return;
                 }
             }
         }, checkInterval);
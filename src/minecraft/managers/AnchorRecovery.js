@@ -0,0 +1,123 @@
+import pathfinderPkg from 'mineflayer-pathfinder';
+import logger from '../../utils/Logger.js';
+import { createSafeMovements, gotoWithTimeout } from './NavigationManager.js';
+
+const { goals } = pathfinderPkg;
+
+// Walks a slot back to its exact afkProfile anchor after small pushes (water, knockback, pistons).
+export class AnchorRecovery {
+    constructor(owner) {
+        this.owner = owner;
+        this.active = false;
+        this.nextAttemptAt = 0;
+        this.runId = 0; // bumped by stop() so a cancelled recover() neither settles nor reports
+    }
+
+    attach() {
+        this.active = false;
+        this.nextAttemptAt = 0;
+    }
+
+    getSettings() {
+        return {
+            enabled: true,
+            tolerance: 1.5,
+            timeoutMs: 30000,
+            retryDelayMs: 60000,
+            ...(this.owner.config.settings.anchorRecovery || {}),
+            ...(this.owner.accountConfig.anchorRecovery || {})
+        };
+    }
+
+    // Called from the drift check with a displacement that is still inside the drift radius.
+    handleDisplacement(distance, source) {
+        const settings = this.getSettings();
+        if (settings.enabled === false || this.active) return;
+        if (distance <= settings.tolerance) {
+            this.owner.anchorRecoveryState.failures = 0;
+            return;
+        }
+        if (this.owner._protectionRunning || this.owner.isInLobby || Date.now() < this.nextAttemptAt) return;
+
+        this.recover(distance, source, settings).catch(error => {
+            logger.error(`Slot ${this.owner.slot}: Anchor recovery crashed: ${error.message}`);
+        });
+    }
+
+    async recover(distance, source, settings) {
+        const bot = this.owner.bot;
+        const anchor = this.owner.getAfkAnchor();
+        if (!bot?.pathfinder || !anchor) return;
+
+        this.active = true;
+        const runId = ++this.runId;
+        const state = this.owner.anchorRecoveryState;
+        logger.info(`Slot ${this.owner.slot}: Displaced ${distance.toFixed(1)} blocks from AFK anchor (${source}). Walking back.`);
+
+        let result;
+        try {
+            result = await this.walkToAnchor(bot, anchor, settings);
+        } finally {
+            if (this.runId === runId) this.active = false;
+        }
+
+        // stop() handed the bot to /goto, /follow, protection or a disconnect; the failed walk is theirs to explain.
+        if (this.runId !== runId || this.owner.bot !== bot) return;
+        await this.settle(bot);
+
+        state.lastAt = Date.now();
+        state.lastResult = result.ok ? 'ok' : result.error;
+        if (result.ok) {
+            state.recoveries++;
+            if (state.failures > 0 && this.owner.onAnchorAlert) {
+                this.owner.onAnchorAlert(`✅ **Slot ${this.owner.slot}:** AFK noktasına geri dönüldü.`);
+            }
+            state.failures = 0;
+            logger.info(`Slot ${this.owner.slot}: Back at AFK anchor (${result.distance.toFixed(1)} blocks off).`);
+            return;
+        }
+
+        state.failures++;
+        this.nextAttemptAt = Date.now() + Math.max(5000, Number(settings.retryDelayMs) || 60000);
+        logger.warn(`Slot ${this.owner.slot}: Anchor recovery failed: ${result.error}`);
+        if (this.owner.onAnchorAlert) {
+            this.owner.onAnchorAlert(`📍 **Slot ${this.owner.slot}:** AFK noktasına geri yürünemedi (${result.error}). Bot ${distance.toFixed(1)} blok kaymış durumda. Deneme: ${state.failures}`);
+        }
+    }
+
+    // Also used by auto-stash to come back from the storage chest; never throws.
+    async walkToAnchor(bot, anchor, settings = this.getSettings()) {
+        try {
+            bot.pathfinder.setMovements(createSafeMovements(bot));
+
+            // Sneaking slows the walk and is re-applied once we arrive.
+            bot.setControlState('sneak', false);
+            const goal = new goals.GoalBlock(Math.floor(anchor.x), Math.floor(anchor.y), Math.floor(anchor.z));
+            await gotoWithTimeout(bot, goal, settings.timeoutMs, this.owner);
+
+            const remaining = this.owner.getDistanceFromReference(anchor, bot.entity.position);
+            return remaining !== null && remaining <= Math.max(settings.tolerance, 1)
+                ? { ok: true, distance: remaining }
+                : { ok: false, error: `${remaining?.toFixed(1) ?? '?'} blok uzakta kaldı` };
+        } catch (error) {
+            return { ok: false, error: error.message };
+        }
+    }
+
+    // Restores the saved facing and sneak once the bot stands on the anchor again.
+    async settle(bot) {
+        const { yaw, pitch } = this.owner.afkProfile?.anchor || {};
+        if (Number.isFinite(yaw) && Number.isFinite(pitch)) {
+            await bot.look(yaw, pitch, true).catch(() => {});
+        }
+        bot.setControlState('sneak', true);
+    }
+
+    stop() {
+        if (this.active && this.owner.bot?.pathfinder) {
+            this.owner.bot.pathfinder.stop();
+        }
+        this.active = false;
+        this.runId++;
+    }
+}
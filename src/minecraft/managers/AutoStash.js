@@ -0,0 +1,194 @@
+import pathfinderPkg from 'mineflayer-pathfinder';
+import logger from '../../utils/Logger.js';
+import { createSafeMovements, gotoWithTimeout } from './NavigationManager.js';
+
+const { goals } = pathfinderPkg;
+
+// Item names per stash category; settings.autoStash.items adds extra names on top.
+const STASH_CATEGORIES = {
+    spawners: ['spawner'],
+    drops: [
+        'rotten_flesh', 'bone', 'bone_meal', 'arrow', 'string', 'spider_eye', 'gunpowder',
+        'ender_pearl', 'blaze_rod', 'ghast_tear', 'slime_ball', 'magma_cream', 'gold_nugget',
+        'gold_ingot', 'iron_ingot', 'leather', 'feather', 'rabbit_hide', 'ink_sac', 'glow_ink_sac',
+        'prismarine_shard', 'prismarine_crystals', 'phantom_membrane', 'redstone', 'glowstone_dust',
+        'sugar', 'glass_bottle', 'stick', 'coal', 'emerald', 'wither_skeleton_skull', 'poppy',
+        'beef', 'porkchop', 'mutton', 'chicken', 'rabbit', 'cod', 'salmon', 'white_wool'
+    ],
+    xp: ['experience_bottle']
+};
+
+function formatPos(pos) {
+    return `${Math.round(pos.x)}, ${Math.round(pos.y)}, ${Math.round(pos.z)}`;
+}
+
+// Mob-farm slots: empties configured item categories into a chest or ender chest before the inventory fills up.
+export class AutoStash {
+    constructor(owner) {
+        this.owner = owner;
+        this.active = false;
+        this.nextAttemptAt = 0;
+        this.runId = 0; // bumped by stop() so a cancelled run() neither walks, settles nor reports
+    }
+
+    attach() {
+        this.active = false;
+        this.nextAttemptAt = 0;
+    }
+
+    getSettings() {
+        return {
+            enabled: false,
+            container: null,
+            minEmptySlots: 4,
+            categories: ['spawners', 'drops', 'xp'],
+            items: [],
+            timeoutMs: 30000,
+            retryDelayMs: 300000,
+            ...(this.owner.config.settings.autoStash || {}),
+            ...(this.owner.accountConfig.autoStash || {})
+        };
+    }
+
+    getItemNames(settings) {
+        const names = new Set(settings.items || []);
+        for (const category of settings.categories || []) {
+            for (const name of STASH_CATEGORIES[category] || []) {
+                names.add(name);
+            }
+        }
+        return names;
+    }
+
+    // Called from the inventory monitor tick.
+    check() {
+        const settings = this.getSettings();
+        if (settings.enabled === false || !settings.container || this.active) return;
+
+        const bot = this.owner.bot;
+        if (!bot?.inventory || this.owner.status !== 'online' || this.owner.isInLobby) return;
+        if (this.owner._protectionRunning || this.owner.navigationManager.isActive() || this.owner.anchorRecovery.active) return;
+        if (Date.now() < this.nextAttemptAt || this.owner.isEnemyNearby()) return;
+        if (bot.inventory.emptySlotCount() > settings.minEmptySlots) return;
+
+        const names = this.getItemNames(settings);
+        if (!bot.inventory.items().some(item => names.has(item.name))) return;
+
+        this.run(settings, names).catch(error => {
+            logger.error(`Slot ${this.owner.slot}: Auto-stash crashed: ${error.message}`);
+        });
+    }
+
+    notify(message) {
+        if (this.owner.onInventoryAlert) {
+            this.owner.onInventoryAlert(message);
+        }
+    }
+
+    async run(settings, names) {
+        const bot = this.owner.bot;
+        const anchor = this.owner.getAfkAnchor();
+        const target = this.owner.toBlockVec3(settings.container);
+        if (!target) {
+            this.fail(settings, 'autoStash.container geçersiz');
+            return;
+        }
+
+        const runId = ++this.runId;
+        this.active = true;
+        try {
+            await this.stash(bot, settings, names, target, anchor, () => this.runId !== runId || this.owner.bot !== bot);
+        } finally {
+            // stop() leaves active set until the run has let go of the pathfinder; a new bot was reset by attach().
+            if (this.owner.bot === bot) this.active = false;
+        }
+    }
+
+    // cancelled() turns true once stop() ran; from then on the bot belongs to protection or the next connection.
+    async stash(bot, settings, names, target, anchor, cancelled) {
+        let moved = [];
+        let error = null;
+        let leftAnchor = false;
+        try {
+            if (!this.inReach(bot, target)) {
+                if (!anchor || !bot.pathfinder) {
+                    throw new Error(`sandık erişim dışında ve geri dönülecek AFK anchor yok (\`/afkset\`)`);
+                }
+                // Set before walking: a timed-out or stopped walk still leaves the bot off its anchor.
+                leftAnchor = true;
+                await this.approach(bot, target, settings);
+            }
+            if (cancelled()) return;
+            if (this.owner._protectionRunning || this.owner.isInLobby) {
+                throw new Error('koruma veya lobby nedeniyle iptal edildi');
+            }
+
+            const { window, label } = await this.owner.inventoryManager.openContainerAt(target);
+            try {
+                if (!cancelled()) {
+                    moved = await this.owner.inventoryManager.moveItems(window, 'deposit', item => names.has(item.name));
+                }
+            } finally {
+                window.close();
+            }
+            if (cancelled()) return;
+            logger.info(`Slot ${this.owner.slot}: Auto-stashed ${moved.map(item => `${item.count}x ${item.name}`).join(', ')} into ${label}`);
+        } catch (stashError) {
+            if (cancelled()) return;
+            error = stashError.message;
+        }
+
+        let returnError = null;
+        if (leftAnchor) {
+            const result = await this.owner.anchorRecovery.walkToAnchor(bot, anchor);
+            if (cancelled()) return;
+            await this.owner.anchorRecovery.settle(bot);
+            if (cancelled()) return;
+            if (!result.ok) returnError = result.error;
+        }
+
+        if (error) {
+            this.fail(settings, error, returnError);
+            return;
+        }
+
+        const summary = moved.map(item => `${item.count}x ${item.name}`).join(', ') || 'eşya yok';
+        let message = `📦 **Slot ${this.owner.slot}:** Otomatik depolama tamamlandı → \`${formatPos(target)}\`: ${summary} (boş slot: ${bot.inventory.emptySlotCount()})`;
+        if (returnError) {
+            message += `\n📍 AFK noktasına geri yürünemedi: ${returnError}`;
+        }
+        this.notify(message);
+    }
+
+    inReach(bot, target) {
+        const eye = bot.entity.position.offset(0, bot.entity.height, 0);
+        const { reach } = this.owner.interactionManager.getSettings();
+        return eye.distanceTo(target.offset(0.5, 0.5, 0.5)) <= reach;
+    }
+
+    // Walks next to the container.
+    async approach(bot, target, settings) {
+        bot.pathfinder.setMovements(createSafeMovements(bot));
+        bot.setControlState('sneak', false);
+        await gotoWithTimeout(bot, new goals.GoalGetToBlock(target.x, target.y, target.z), settings.timeoutMs, this.owner);
+    }
+
+    fail(settings, error, returnError = null) {
+        const retryDelayMs = Math.max(30000, Number(settings.retryDelayMs) || 300000);
+        this.nextAttemptAt = Date.now() + retryDelayMs;
+        logger.warn(`Slot ${this.owner.slot}: Auto-stash failed: ${error}`);
+
+        let message = `⚠️ **Slot ${this.owner.slot}:** Otomatik depolama başarısız: ${error}. ${Math.round(retryDelayMs / 60000)} dk sonra tekrar denenecek.`;
+        if (returnError) {
+            message += `\n📍 AFK noktasına geri yürünemedi: ${returnError}`;
+        }
+        this.notify(message);
+    }
+
+    stop() {
+        if (this.active && this.owner.bot?.pathfinder) {
+            this.owner.bot.pathfinder.stop();
+        }
+        this.runId++;
+    }
+}
@@ -0,0 +1,103 @@
+const DEFAULT_BAN_PATTERNS = [
+    'multiplayer\\.disconnect\\.banned',
+    '\\b(?:temp(?:orarily|-)?\\s*)?banned\\b',
+    '\\btempban\\b',
+    '\\bblacklisted\\b',
+    'yasakland[ıi]',
+    'banland[ıi]'
+];
+
+const PERMANENT_PATTERN = /permanent|forever|kal[ıi]c[ıi]|s[üu]resiz/i;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DURATION_UNITS = [
+    [/^(?:y|yr|yrs|years?|y[ıi]l)$/, 365 * DAY_MS],
+    [/^(?:mo|mos|months?|ay)$/, 30 * DAY_MS],
+    [/^(?:w|wk|wks|weeks?|hafta)$/, 7 * DAY_MS],
+    [/^(?:d|days?|g|g[üu]n)$/, DAY_MS],
+    [/^(?:h|hr|hrs|hours?|sa|saat)$/, 60 * 60 * 1000],
+    [/^(?:m|min|mins|minutes?|dk|dakika)$/, 60 * 1000],
+    [/^(?:s|sec|secs|seconds?|sn|saniye)$/, 1000]
+];
+
+function compilePatterns(extraPatterns) {
+    const sources = [...DEFAULT_BAN_PATTERNS, ...(Array.isArray(extraPatterns) ? extraPatterns : [])];
+    const patterns = [];
+    for (const source of sources) {
+        try {
+            patterns.push(new RegExp(source, 'i'));
+        } catch (error) {
+            // Invalid user pattern; skip it rather than breaking kick handling.
+        }
+    }
+    return patterns;
+}
+
+function parseAbsoluteExpiry(text) {
+    const iso = /(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?/.exec(text);
+    if (iso) {
+        const [, y, mo, d, h = 0, mi = 0, s = 0] = iso;
+        return new Date(Number(y), Number(mo) - 1, Number(d), Number(h), Number(mi), Number(s)).getTime();
+    }
+
+    // dd.mm.yyyy [hh:mm] as used by Turkish/European servers
+    const dotted = /(\d{1,2})[./](\d{1,2})[./](\d{4})(?:\s+(\d{1,2}):(\d{2}))?/.exec(text);
+    if (dotted) {
+        const [, d, mo, y, h = 0, mi = 0] = dotted;
+        return new Date(Number(y), Number(mo) - 1, Number(d), Number(h), Number(mi)).getTime();
+    }
+
+    const keyword = /(?:removed on|until|expires(?: on)?:?|ends(?: on)?:?|biti[şs]:?)\s+([^\n]+)/i.exec(text);
+    if (keyword) {
+        const parsed = Date.parse(keyword[1].trim());
+        if (!Number.isNaN(parsed)) {
+            return parsed;
+        }
+    }
+
+    return null;
+}
+
+function parseDurationMs(text) {
+    let total = 0;
+    for (const [, amount, unit] of text.toLowerCase().matchAll(/(\d+)\s*([a-zçğıöşü]+)/g)) {
+        const match = DURATION_UNITS.find(([pattern]) => pattern.test(unit));
+        if (match) {
+            total += Number(amount) * match[1];
+        }
+    }
+    return total > 0 ? total : null;
+}
+
+// Returns the absolute expiry timestamp if the message carries one, otherwise null.
+export function parseBanExpiry(text, now = Date.now()) {
+    const absolute = parseAbsoluteExpiry(text);
+    if (absolute !== null && !Number.isNaN(absolute) && absolute > now - 60000) {
+        return absolute;
+    }
+
+    const duration = parseDurationMs(text);
+    return duration ? now + duration : null;
+}
+
+// settings: config.settings.banDetection ({ enabled, patterns })
+export function detectBan(reasonText, settings = {}, now = Date.now()) {
+    if (settings.enabled === false || !reasonText) {
+        return null;
+    }
+
+    const text = String(reasonText);
+    if (!compilePatterns(settings.patterns).some(pattern => pattern.test(text))) {
+        return null;
+    }
+
+    const permanent = PERMANENT_PATTERN.test(text);
+    const expiresAt = permanent ? null : parseBanExpiry(text, now);
+
+    return {
+        reason: text,
+        detectedAt: now,
+        expiresAt,
+        permanent: permanent || expiresAt === null
+    };
+}
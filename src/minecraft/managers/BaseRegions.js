@@ -0,0 +1,117 @@
+// Base regions stored in afkProfile.regions: block cuboids or XZ polygons with a Y range.
+
+function toNumber(value) {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function normalizeCuboid(raw, name) {
+    const from = raw.from || raw.min;
+    const to = raw.to || raw.max;
+    const coords = ['x', 'y', 'z'].map(axis => [toNumber(from?.[axis]), toNumber(to?.[axis])]);
+    if (coords.some(([a, b]) => a === null || b === null)) return null;
+
+    const [[x1, x2], [y1, y2], [z1, z2]] = coords;
+    return {
+        name,
+        type: 'cuboid',
+        min: { x: Math.min(x1, x2), y: Math.min(y1, y2), z: Math.min(z1, z2) },
+        max: { x: Math.max(x1, x2), y: Math.max(y1, y2), z: Math.max(z1, z2) }
+    };
+}
+
+function normalizePolygon(raw, name) {
+    const points = (Array.isArray(raw.points) ? raw.points : [])
+        .map(point => ({ x: toNumber(point?.x), z: toNumber(point?.z) }))
+        .filter(point => point.x !== null && point.z !== null);
+    const minY = toNumber(raw.minY);
+    const maxY = toNumber(raw.maxY);
+    if (points.length < 3 || minY === null || maxY === null) return null;
+
+    return { name, type: 'polygon', points, minY: Math.min(minY, maxY), maxY: Math.max(minY, maxY) };
+}
+
+export function normalizeRegion(raw, index = 0) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const name = String(raw.name || `region${index + 1}`);
+    if (raw.type === 'cuboid') return normalizeCuboid(raw, name);
+    if (raw.type === 'polygon') return normalizePolygon(raw, name);
+    return null;
+}
+
+export function normalizeRegions(rawRegions) {
+    if (!Array.isArray(rawRegions)) return [];
+    return rawRegions.map(normalizeRegion).filter(Boolean);
+}
+
+// Distance along one axis to the block span [min, max + 1); 0 inside it.
+function axisGap(value, min, max) {
+    if (value < min) return min - value;
+    if (value > max + 1) return value - (max + 1);
+    return 0;
+}
+
+function segmentDistance(px, pz, a, b) {
+    const dx = b.x - a.x;
+    const dz = b.z - a.z;
+    const lengthSq = dx * dx + dz * dz;
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((px - a.x) * dx + (pz - a.z) * dz) / lengthSq));
+    return Math.hypot(px - (a.x + t * dx), pz - (a.z + t * dz));
+}
+
+function insidePolygon(px, pz, points) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[i];
+        const b = points[j];
+        if ((a.z > pz) !== (b.z > pz) && px < ((b.x - a.x) * (pz - a.z)) / (b.z - a.z) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// 0 when the position is inside the region, otherwise the distance to its nearest edge.
+export function regionDistance(region, position) {
+    if (region.type === 'cuboid') {
+        const dx = axisGap(position.x, region.min.x, region.max.x);
+        const dy = axisGap(position.y, region.min.y, region.max.y);
+        const dz = axisGap(position.z, region.min.z, region.max.z);
+        return Math.hypot(dx, dy, dz);
+    }
+
+    const dy = axisGap(position.y, region.minY, region.maxY);
+    if (insidePolygon(position.x, position.z, region.points)) {
+        return dy;
+    }
+
+    let horizontal = Infinity;
+    for (let i = 0; i < region.points.length; i++) {
+        const next = region.points[(i + 1) % region.points.length];
+        horizontal = Math.min(horizontal, segmentDistance(position.x, position.z, region.points[i], next));
+    }
+    return Math.hypot(horizontal, dy);
+}
+
+// Returns null without regions, otherwise the closest region and whether the position is inside it.
+export function measureRegions(regions, position) {
+    if (!Array.isArray(regions) || regions.length === 0 || !position) return null;
+
+    let closest = null;
+    for (const region of regions) {
+        const distance = regionDistance(region, position);
+        if (!closest || distance < closest.edgeDistance) {
+            closest = { region: region.name, edgeDistance: distance };
+        }
+    }
+    return { ...closest, inside: closest.edgeDistance === 0 };
+}
+
+export function describeRegion(region) {
+    if (region.type === 'cuboid') {
+        const { min, max } = region;
+        return `cuboid ${min.x} ${min.y} ${min.z} → ${max.x} ${max.y} ${max.z}`;
+    }
+    return `polygon Y ${region.minY}..${region.maxY}, ${region.points.length} köşe (${region.points.map(point => `${point.x} ${point.z}`).join(' | ')})`;
+}
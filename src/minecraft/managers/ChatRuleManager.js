@@ -0,0 +1,122 @@
+import logger from '../../utils/Logger.js';
+
+export const CHAT_RULE_ACTIONS = ['enter-lobby', 'verify-teleport', 'pause-lobby-retry', 'notify', 'run-command'];
+
+// Used when settings.chatRules is not configured; mirrors the old hardcoded triggers.
+export const DEFAULT_CHAT_RULES = [
+    { name: 'server-update', pattern: 'servers are updating|do not teleport', action: 'enter-lobby', stop: true },
+    { name: 'teleport', pattern: 'teleported|ışınlandı', action: 'verify-teleport' },
+    { name: 'region-restart', pattern: 'region started back up|we will teleport you back', action: 'pause-lobby-retry' }
+];
+
+const regexCache = new Map(); // "flags/pattern" -> RegExp | null
+
+// Matches any placeholder other than {slot}; run-command templates may not contain them.
+export const CHAT_TEXT_PLACEHOLDER = /\$\d|\{message\}/;
+
+function compileRule(rule) {
+    // The cache is shared by all slots, so g/y (stateful lastIndex) are dropped.
+    const flags = String(rule.flags ?? 'i').replace(/[gy]/g, '');
+    const key = `${flags}/${rule.pattern}`;
+    if (!regexCache.has(key)) {
+        try {
+            regexCache.set(key, new RegExp(rule.pattern, flags));
+        } catch (error) {
+            logger.warn(`Chat rule '${rule.name}' has an invalid pattern: ${error.message}`);
+            regexCache.set(key, null);
+        }
+    }
+    return regexCache.get(key);
+}
+
+// "$1" style placeholders are filled from the regex capture groups. Only used for notify messages,
+// which go to the operators; chat text is written by other players.
+function fillTemplate(template, match, slot) {
+    return String(template || '')
+        .replace(/\$(\d)/g, (_, index) => match[Number(index)] ?? '')
+        .replace(/\{slot\}/g, String(slot))
+        .replace(/\{message\}/g, match.input);
+}
+
+export class ChatRuleManager {
+    constructor(owner) {
+        this.owner = owner;
+        this.lastFiredAt = new Map(); // rule name -> timestamp (per slot cooldown)
+    }
+
+    getRules() {
+        const rules = this.owner.config.settings.chatRules;
+        return Array.isArray(rules) ? rules : DEFAULT_CHAT_RULES;
+    }
+
+    recordHit(rule) {
+        const stats = this.owner.chatRuleStats;
+        if (!stats) return;
+
+        const entry = stats.get(rule.name) || { hits: 0, lastHitAt: null, lastSlot: null };
+        entry.hits++;
+        entry.lastHitAt = Date.now();
+        entry.lastSlot = this.owner.slot;
+        stats.set(rule.name, entry);
+    }
+
+    handleMessage(message) {
+        for (const rule of this.getRules()) {
+            if (!rule || rule.enabled === false || !rule.pattern) continue;
+
+            const regex = compileRule(rule);
+            const match = regex ? regex.exec(message) : null;
+            if (!match) continue;
+
+            const cooldownMs = Number(rule.cooldownMs) || 0;
+            const lastFiredAt = this.lastFiredAt.get(rule.name) || 0;
+            if (cooldownMs > 0 && Date.now() - lastFiredAt < cooldownMs) {
+                if (rule.stop) break;
+                continue;
+            }
+            this.lastFiredAt.set(rule.name, Date.now());
+
+            this.recordHit(rule);
+            this.runAction(rule, match, message);
+
+            if (rule.stop) break;
+        }
+    }
+
+    runAction(rule, match, message) {
+        switch (rule.action) {
+            case 'enter-lobby':
+                logger.warn(`Slot ${this.owner.slot}: 🚨 Chat rule '${rule.name}' matched. Entering lobby mode.`);
+                this.owner.enterLobbyMode('chat', { chat: true });
+                break;
+            case 'verify-teleport':
+                this.owner.verifyTeleport(message);
+                break;
+            case 'pause-lobby-retry':
+                logger.info(`Slot ${this.owner.slot}: 🔄 Chat rule '${rule.name}' matched. Stopping lobby retry loops.`);
+                this.owner.stopLobbyRetry();
+                break;
+            case 'notify': {
+                const text = rule.message
+                    ? fillTemplate(rule.message, match, this.owner.slot)
+                    : `💬 **Slot ${this.owner.slot}** (\`${rule.name}\`): ${message}`;
+                if (this.owner.onChatRuleAlert) this.owner.onChatRuleAlert(text);
+                break;
+            }
+            case 'run-command': {
+                // Captures never reach the command: another player could otherwise choose what the bot sends (/pay, /tpaccept).
+                if (CHAT_TEXT_PLACEHOLDER.test(rule.command || '')) {
+                    logger.warn(`Chat rule '${rule.name}' skipped: run-command only supports the {slot} placeholder`);
+                    break;
+                }
+                const command = String(rule.command || '').replace(/\{slot\}/g, String(this.owner.slot)).trim();
+                if (!command) break;
+                logger.info(`Slot ${this.owner.slot}: Chat rule '${rule.name}' running command: ${command}`);
+                this.owner.sendChat(command);
+                break;
+            }
+            default:
+                logger.warn(`Chat rule '${rule.name}' has unknown action "${rule.action}"`);
+        }
+    }
+}
@@ -0,0 +1,86 @@
+import logger from '../../utils/Logger.js';
+
+const PHASE_TIMEOUT_KEYS = {
+    connect: 'connectTimeoutMs',
+    auth: 'authTimeoutMs',
+    login: 'loginTimeoutMs',
+    spawn: 'spawnTimeoutMs'
+};
+
+// Phases: connect (createBot -> TCP connect), auth (waiting for a Microsoft device code),
+// login (TCP connect -> login packet), spawn (login -> first spawn).
+export class ConnectWatchdog {
+    constructor(owner) {
+        this.owner = owner;
+        this.timer = null;
+        this.phase = null;
+        this.phaseStartedAt = null;
+    }
+
+    getSettings() {
+        return {
+            enabled: true,
+            connectTimeoutMs: 45000,
+            authTimeoutMs: 900000,
+            loginTimeoutMs: 60000,
+            spawnTimeoutMs: 60000,
+            ...(this.owner.config.settings.connectWatchdog || {}),
+            ...(this.owner.accountConfig.connectWatchdog || {})
+        };
+    }
+
+    enterPhase(phase) {
+        this.clear();
+
+        const settings = this.getSettings();
+        if (settings.enabled === false) {
+            return;
+        }
+
+        const timeoutMs = Math.max(5000, Number(settings[PHASE_TIMEOUT_KEYS[phase]]) || 60000);
+        const watchedBot = this.owner.bot;
+        this.phase = phase;
+        this.phaseStartedAt = Date.now();
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            if (this.owner.bot === watchedBot) {
+                this.stall(phase, timeoutMs);
+            }
+        }, timeoutMs);
+    }
+
+    clear() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.phase = null;
+        this.phaseStartedAt = null;
+    }
+
+    // Tear down the half-open client and hand the slot to the normal end/reconnect path.
+    stall(phase, timeoutMs) {
+        const stalled = this.owner.bot;
+        this.clear();
+        if (!stalled) {
+            return;
+        }
+
+        logger.error(`Slot ${this.owner.slot}: Connection stalled in '${phase}' phase for ${Math.round(timeoutMs / 1000)}s. Tearing down client.`);
+        this.owner.stats.stalls++;
+        this.owner.stats.lastStall = { phase, timeoutMs, at: Date.now() };
+        this.owner.status = 'error';
+
+        try {
+            stalled.end('watchdogTimeout');
+        } catch (error) {
+            logger.warn(`Slot ${this.owner.slot}: Watchdog end() failed: ${error.message}`);
+        }
+        stalled._client?.socket?.destroy();
+
+        // A client that never opened a socket will not emit 'end' on its own.
+        if (this.owner.bot === stalled) {
+            stalled.emit('end', 'watchdogTimeout');
+        }
+    }
+}
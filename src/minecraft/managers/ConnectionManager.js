@@ -12,12 +12,37 @@ function formatDuration(ms) {
     return `${seconds}sn`;
 }
 
+const BACKOFF_JITTER_MODES = new Set(['none', 'full', 'decorrelated']);
+
+function computeBackoffDelay(policy, attempt, previousDelay) {
+    const exponential = Math.min(
+        policy.maxDelay,
+        policy.baseDelay * Math.pow(policy.multiplier, Math.max(0, attempt - 1))
+    );
+
+    if (policy.jitter === 'full') {
+        // Full jitter: anywhere between 0 and the exponential ceiling.
+        return Math.round(Math.random() * exponential);
+    }
+
+    if (policy.jitter === 'decorrelated') {
+        // Decorrelated jitter: grows from the previous delay instead of the attempt count.
+        const upper = Math.max(policy.baseDelay, (previousDelay || policy.baseDelay) * policy.multiplier);
+        return Math.round(Math.min(policy.maxDelay, policy.baseDelay + (Math.random() * (upper - policy.baseDelay))));
+    }
+
+    return Math.round(exponential);
+}
+
 export class ConnectionManager {
     constructor(owner) {
         this.owner = owner;
     }
 
     resolveDisplayStatus() {
+        if (!this.owner.bot && !this.owner.isConnecting && this.owner.getQuarantine()) {
+            return 'banned';
+        }
         const clientState = this.owner.bot?._client?.state;
         if ((this.owner.status === 'offline' || this.owner.status === 'connecting') && clientState === 'play') {
             return 'online';
@@ -43,9 +68,33 @@ export class ConnectionManager {
             sessionTimeFormatted: formatDuration(totalSessionTime),
             reconnects: this.owner.stats.reconnects,
             spawnersBroken: this.owner.stats.spawnersBroken,
+            spawnersSecured: this.owner.stats.spawnersSecured,
             alertsTriggered: this.owner.stats.alertsTriggered,
             lobbyEvents: this.owner.stats.lobbyEvents,
-            lastDisconnect: this.owner.stats.lastDisconnect
+            stalls: this.owner.stats.stalls,
+            lastStall: this.owner.stats.lastStall,
+            lastDisconnect: this.owner.stats.lastDisconnect,
+            metrics: this.owner.healthMonitor.getMetrics()
+        };
+    }
+
+    getReconnectBackoffPolicy() {
+        const settings = this.owner.config.settings;
+        const merged = {
+            baseDelay: settings.reconnectDelay || 5000,
+            multiplier: 2,
+            maxDelay: 300000,
+            jitter: 'decorrelated',
+            ...(settings.reconnectBackoff || {}),
+            ...(this.owner.accountConfig.reconnectBackoff || {})
+        };
+
+        const baseDelay = Math.max(250, Number(merged.baseDelay) || 5000);
+        return {
+            baseDelay,
+            multiplier: Math.max(1, Number(merged.multiplier) || 1),
+            maxDelay: Math.max(baseDelay, Number(merged.maxDelay) || baseDelay),
+            jitter: BACKOFF_JITTER_MODES.has(merged.jitter) ? merged.jitter : 'none'
         };
     }
 
@@ -65,7 +114,31 @@ export class ConnectionManager {
             return;
         }
 
-        let delay = this.owner.tempReconnectDelay || this.owner.config.settings.reconnectDelay || 5000;
+        // Kick rules may ask to hold the slot until the server is joinable again.
+        const pendingServerWait = this.owner.pendingServerWait;
+        this.owner.pendingServerWait = null;
+        if (pendingServerWait) {
+            const monitor = this.owner.serverMonitor;
+            if (monitor && monitor.isEnabled()) {
+                if (this.owner.reconnectTimeout) {
+                    clearTimeout(this.owner.reconnectTimeout);
+                    this.owner.reconnectTimeout = null;
+                }
+                this.owner.reconnectScheduleId++;
+                this.owner.nextReconnectAt = null;
+                monitor.waitForServer(this.owner, this.owner.getServerProfile(), pendingServerWait.reason, {
+                    minWaitMs: pendingServerWait.minWaitMs,
+                    source: 'kick'
+                });
+                return;
+            }
+            if (pendingServerWait.minWaitMs) {
+                this.owner.tempReconnectDelay = pendingServerWait.minWaitMs;
+            }
+        }
+
+        const policy = this.getReconnectBackoffPolicy();
+        const overrideDelay = this.owner.tempReconnectDelay;
         this.owner.tempReconnectDelay = null;
         const maxAttempts = this.owner.config.settings.maxReconnectAttempts ?? 10;
         const permanentRetry = this.owner.config.settings.permanentRetryAfterMaxReconnect ?? false;
@@ -76,30 +149,62 @@ export class ConnectionManager {
         }
         const scheduledId = ++this.owner.reconnectScheduleId;
 
+        let delay;
+        let attemptCounted = false;
         if (this.owner.reconnectAttempts >= maxAttempts) {
             if (permanentRetry) {
-                logger.warn(`Slot ${this.owner.slot}: Max reconnect attempts (${maxAttempts}) reached. Entering permanent retry mode (60s interval).`);
-                delay = 60000;
+                delay = overrideDelay || computeBackoffDelay(policy, this.owner.reconnectAttempts + 1, this.owner.currentReconnectDelay);
+                logger.warn(`Slot ${this.owner.slot}: Max reconnect attempts (${maxAttempts}) reached. Permanent retry mode, next attempt in ${Math.round(delay / 1000)}s.`);
             } else {
                 logger.error(`Slot ${this.owner.slot}: Max reconnect attempts (${maxAttempts}) reached. Auto-reconnect stopped.`);
                 this.owner.isManuallyStopped = true;
+                this.owner.currentReconnectDelay = null;
+                this.owner.nextReconnectAt = null;
                 return;
             }
         } else {
             this.owner.reconnectAttempts++;
-            logger.info(`Slot ${this.owner.slot}: Reconnecting in ${delay / 1000}s (attempt ${this.owner.reconnectAttempts}/${maxAttempts})`);
+            attemptCounted = true;
+            delay = overrideDelay || computeBackoffDelay(policy, this.owner.reconnectAttempts, this.owner.currentReconnectDelay);
+            logger.info(`Slot ${this.owner.slot}: Reconnecting in ${Math.round(delay / 1000)}s (attempt ${this.owner.reconnectAttempts}/${maxAttempts}, jitter: ${policy.jitter})`);
         }
 
-        this.owner.reconnectTimeout = setTimeout(() => {
+        this.owner.currentReconnectDelay = delay;
+        this.owner.nextReconnectAt = Date.now() + delay;
+
+        const isStillScheduled = () => (
+            scheduledId === this.owner.reconnectScheduleId &&
+            !this.owner.isManuallyStopped &&
+            !this.owner.isConnecting &&
+            !this.owner.bot
+        );
+
+        this.owner.reconnectTimeout = setTimeout(async () => {
             this.owner.reconnectTimeout = null;
-            if (
-                scheduledId === this.owner.reconnectScheduleId &&
-                !this.owner.isManuallyStopped &&
-                !this.owner.isConnecting &&
-                !this.owner.bot
-            ) {
-                this.owner.start('reconnect');
+            this.owner.nextReconnectAt = null;
+            if (!isStillScheduled()) {
+                return;
             }
+
+            const monitor = this.owner.serverMonitor;
+            if (monitor && monitor.isEnabled()) {
+                const server = this.owner.getServerProfile();
+                const probe = await monitor.probe(server, this.owner);
+                if (!isStillScheduled()) {
+                    return;
+                }
+
+                if (!probe.reachable) {
+                    // Server is down: park the slot and give the attempt back.
+                    if (attemptCounted && this.owner.reconnectAttempts > 0) {
+                        this.owner.reconnectAttempts--;
+                    }
+                    monitor.waitForServer(this.owner, server, probe.error);
+                    return;
+                }
+            }
+
+            this.owner.start('reconnect');
         }, delay);
     }
 
@@ -112,6 +217,14 @@ export class ConnectionManager {
             clearTimeout(this.owner.reconnectTimeout);
             this.owner.reconnectTimeout = null;
         }
+        this.owner.nextReconnectAt = null;
+        this.owner.pendingServerWait = null;
+        if (this.owner.connectionScheduler) {
+            this.owner.connectionScheduler.cancel(this.owner.slot);
+        }
+        if (this.owner.serverMonitor) {
+            this.owner.serverMonitor.cancel(this.owner.slot);
+        }
 
         logger.info(`Slot ${this.owner.slot}: Stopping bot`);
 
@@ -228,7 +341,12 @@ export class ConnectionManager {
             clearInterval(this.owner.inventoryMonitorInterval);
             this.owner.inventoryMonitorInterval = null;
         }
+        this.owner.connectWatchdog.clear();
+        this.owner.healthMonitor.stop();
         this.owner.stopAfkDriftCheck();
+        this.owner.anchorRecovery.stop();
+        this.owner.autoStash.stop();
+        this.owner.navigationManager.halt('bağlantı koptu');
         this.owner.stopLobbyRetry();
         this.owner.isInLobby = false;
         this.owner.lastProtectionTargetPos = null;
@@ -243,11 +361,18 @@ export class ConnectionManager {
             slot: this.owner.slot,
             username: this.owner.accountConfig.username,
             status: resolvedStatus,
+            server: this.owner.getServerProfile().name,
             protectionEnabled: this.owner.protectionEnabled,
             reconnectAttempts: this.owner.reconnectAttempts,
+            reconnectDelay: this.owner.nextReconnectAt ? this.owner.currentReconnectDelay : null,
+            nextReconnectAt: this.owner.nextReconnectAt,
+            queuePosition: this.owner.connectionScheduler?.getPosition(this.owner.slot) || null,
+            serverWait: this.owner.serverMonitor?.getWaitInfo(this.owner.slot) || null,
+            quarantine: this.owner.getQuarantine(),
             health: this.owner.bot?.health,
             food: this.owner.bot?.food,
-            position: this.owner.bot?.entity?.position
+            position: this.owner.bot?.entity?.position,
+            metrics: this.owner.healthMonitor.getMetrics()
         };
     }
 }
@@ -0,0 +1,123 @@
+import logger from '../../utils/Logger.js';
+
+const AIR_BLOCKS = new Set(['air', 'cave_air', 'void_air']);
+
+// Moves mined spawners into an ender chest during protection so a death or raid cannot take them.
+export class EnderChestVault {
+    constructor(owner) {
+        this.owner = owner;
+    }
+
+    getSettings() {
+        return {
+            enabled: false,
+            position: null,
+            placeCarried: true,
+            everySpawners: 4,
+            ...((this.owner.config.settings.protection || {}).enderChest || {}),
+            ...(this.owner.accountConfig.enderChest || {})
+        };
+    }
+
+    isEnabled() {
+        return this.getSettings().enabled === true;
+    }
+
+    countSpawners(blockName) {
+        return this.owner.bot.inventory.items()
+            .filter(item => this.owner.isSpawnerBlock(item, blockName))
+            .reduce((sum, item) => sum + item.count, 0);
+    }
+
+    isReachable(block) {
+        const bot = this.owner.bot;
+        const eye = bot.entity.position.offset(0, bot.entity.height, 0);
+        return eye.distanceTo(block.position.offset(0.5, 0.5, 0.5)) <= this.owner.interactionManager.getSettings().reach;
+    }
+
+    // Configured position first, then any ender chest within reach, then a carried one placed next to the bot.
+    async findEnderChest(settings) {
+        const bot = this.owner.bot;
+        const configured = settings.position ? this.owner.toBlockVec3(settings.position) : null;
+        if (configured) {
+            const block = bot.blockAt(configured);
+            if (block?.name === 'ender_chest' && this.isReachable(block)) {
+                return block;
+            }
+        }
+
+        const { reach } = this.owner.interactionManager.getSettings();
+        const nearby = bot.findBlock({
+            matching: block => block.name === 'ender_chest',
+            maxDistance: Math.ceil(reach)
+        });
+        if (nearby && this.isReachable(nearby)) {
+            return nearby;
+        }
+
+        return settings.placeCarried === false ? null : this.placeCarried();
+    }
+
+    async placeCarried() {
+        const bot = this.owner.bot;
+        const item = bot.inventory.items().find(entry => entry.name === 'ender_chest');
+        if (!item) return null;
+
+        const feet = bot.entity.position.floored();
+        const offsets = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [-1, 1], [1, -1], [-1, -1]];
+        for (const [dx, dz] of offsets) {
+            const reference = bot.blockAt(feet.offset(dx, -1, dz));
+            const spot = bot.blockAt(feet.offset(dx, 0, dz));
+            if (!reference || reference.boundingBox !== 'block' || this.owner.isSpawnerBlock(reference, 'spawner')) continue;
+            if (!spot || !AIR_BLOCKS.has(spot.name)) continue;
+
+            try {
+                await bot.equip(item, 'hand');
+                await bot.placeBlock(reference, new feet.constructor(0, 1, 0));
+            } finally {
+                await this.owner.equipPickaxe(true);
+            }
+            const placed = bot.blockAt(spot.position);
+            if (placed?.name === 'ender_chest') {
+                logger.info(`Slot ${this.owner.slot}: Placed carried ender chest at ${placed.position.x}, ${placed.position.y}, ${placed.position.z}`);
+                return placed;
+            }
+        }
+        return null;
+    }
+
+    // Returns how many spawners left the inventory; never throws so the break loop keeps going.
+    async secureSpawners(blockName, reason) {
+        const bot = this.owner.bot;
+        if (!bot?.entity || this.owner.status !== 'online') return { secured: 0, error: 'bot online değil' };
+
+        const before = this.countSpawners(blockName);
+        if (before === 0) return { secured: 0, error: null };
+
+        const settings = this.getSettings();
+        try {
+            const block = await this.findEnderChest(settings);
+            if (!block) {
+                return { secured: 0, error: 'erişimde ender chest yok' };
+            }
+
+            const { window } = await this.owner.inventoryManager.openContainerAt(block.position);
+            try {
+                await this.owner.inventoryManager.moveItems(window, 'deposit', item => this.owner.isSpawnerBlock(item, blockName));
+            } finally {
+                window.close();
+            }
+        } catch (error) {
+            logger.warn(`[Spawner] Slot ${this.owner.slot}: Ender chest deposit failed (${reason}): ${error.message}`);
+            // A full ender chest still takes part of the stack, so count what actually left the inventory.
+            const partial = Math.max(0, before - this.countSpawners(blockName));
+            this.owner.stats.spawnersSecured += partial;
+            return { secured: partial, error: error.message };
+        }
+
+        const secured = Math.max(0, before - this.countSpawners(blockName));
+        this.owner.stats.spawnersSecured += secured;
+        logger.info(`[Spawner] Slot ${this.owner.slot}: ${secured} spawner ender chest'e konuldu (${reason})`);
+        return { secured, error: null };
+    }
+}
@@ -0,0 +1,151 @@
+import logger from '../../utils/Logger.js';
+
+const TPS_SAMPLE_LIMIT = 12;
+
+function createEmptyMetrics() {
+    return {
+        lastPacketAt: null,
+        lastKeepAliveAt: null,
+        keepAliveIntervalMs: null,
+        tpsSamples: [] // [{ at, age }]
+    };
+}
+
+export class HealthMonitor {
+    constructor(owner) {
+        this.owner = owner;
+    }
+
+    getSettings() {
+        return {
+            enabled: true,
+            maxPingMs: 500,
+            minTps: 15,
+            maxPacketGapMs: 20000,
+            checkIntervalMs: 10000,
+            ...(this.owner.config.settings.healthAlerts || {})
+        };
+    }
+
+    // Packet listeners live on the client instance, so they go away with it.
+    attach(bot) {
+        this.owner.healthMetrics = createEmptyMetrics();
+        const metrics = this.owner.healthMetrics;
+
+        bot._client.on('packet', () => {
+            metrics.lastPacketAt = Date.now();
+        });
+
+        bot._client.on('keep_alive', () => {
+            const now = Date.now();
+            if (metrics.lastKeepAliveAt) {
+                metrics.keepAliveIntervalMs = now - metrics.lastKeepAliveAt;
+            }
+            metrics.lastKeepAliveAt = now;
+        });
+
+        // update_time carries the world age; ticks per real second gives the server TPS.
+        bot.on('time', () => {
+            const age = bot.time?.age;
+            if (!Number.isFinite(age)) return;
+
+            metrics.tpsSamples.push({ at: Date.now(), age });
+            if (metrics.tpsSamples.length > TPS_SAMPLE_LIMIT) {
+                metrics.tpsSamples.shift();
+            }
+        });
+    }
+
+    estimateTps() {
+        const samples = this.owner.healthMetrics.tpsSamples;
+        if (samples.length < 2) return null;
+
+        const first = samples[0];
+        const last = samples[samples.length - 1];
+        const seconds = (last.at - first.at) / 1000;
+        if (seconds < 2) return null;
+
+        const tps = (last.age - first.age) / seconds;
+        return Math.max(0, Math.min(20, Math.round(tps * 10) / 10));
+    }
+
+    getMetrics() {
+        if (!this.owner.bot || this.owner.status !== 'online' || !this.owner.healthMetrics) {
+            return null;
+        }
+
+        const now = Date.now();
+        const metrics = this.owner.healthMetrics;
+        const ping = this.owner.bot.player?.ping;
+        return {
+            ping: Number.isFinite(ping) ? ping : null,
+            tps: this.estimateTps(),
+            lastPacketAgoMs: metrics.lastPacketAt ? now - metrics.lastPacketAt : null,
+            lastKeepAliveAgoMs: metrics.lastKeepAliveAt ? now - metrics.lastKeepAliveAt : null,
+            keepAliveIntervalMs: metrics.keepAliveIntervalMs
+        };
+    }
+
+    start() {
+        this.stop();
+
+        const settings = this.getSettings();
+        if (settings.enabled === false) {
+            return;
+        }
+
+        this.owner.healthAlertState.clear();
+        this.owner.healthMonitorInterval = setInterval(() => {
+            this.check();
+        }, Math.max(2000, Number(settings.checkIntervalMs) || 10000));
+    }
+
+    stop() {
+        if (this.owner.healthMonitorInterval) {
+            clearInterval(this.owner.healthMonitorInterval);
+            this.owner.healthMonitorInterval = null;
+        }
+    }
+
+    check() {
+        const metrics = this.getMetrics();
+        if (!metrics) return;
+
+        const settings = this.getSettings();
+        const conditions = [
+            {
+                key: 'ping',
+                bad: metrics.ping !== null && metrics.ping > settings.maxPingMs,
+                alert: `📶 **Slot ${this.owner.slot}:** Ping yüksek! **${metrics.ping} ms** (eşik ${settings.maxPingMs} ms)`,
+                recovered: `📶 **Slot ${this.owner.slot}:** Ping normale döndü (${metrics.ping} ms)`
+            },
+            {
+                key: 'tps',
+                bad: metrics.tps !== null && metrics.tps < settings.minTps,
+                alert: `🐢 **Slot ${this.owner.slot}:** Sunucu TPS düştü! **${metrics.tps}** (eşik ${settings.minTps})`,
+                recovered: `🐢 **Slot ${this.owner.slot}:** Sunucu TPS normale döndü (${metrics.tps})`
+            },
+            {
+                key: 'packetGap',
+                bad: metrics.lastPacketAgoMs !== null && metrics.lastPacketAgoMs > settings.maxPacketGapMs,
+                alert: `⏳ **Slot ${this.owner.slot}:** ${Math.round((metrics.lastPacketAgoMs || 0) / 1000)} sn'dir sunucudan paket gelmiyor, timeout riski!`,
+                recovered: `⏳ **Slot ${this.owner.slot}:** Sunucudan paket akışı tekrar normal.`
+            }
+        ];
+
+        // Alert once when a threshold is crossed and once when it recovers.
+        for (const condition of conditions) {
+            const wasBad = this.owner.healthAlertState.has(condition.key);
+            if (condition.bad === wasBad) continue;
+
+            if (condition.bad) {
+                this.owner.healthAlertState.add(condition.key);
+                logger.warn(`Slot ${this.owner.slot}: Health threshold crossed (${condition.key})`);
+                if (this.owner.onHealthAlert) this.owner.onHealthAlert(condition.alert);
+            } else {
+                this.owner.healthAlertState.delete(condition.key);
+                if (this.owner.onHealthAlert) this.owner.onHealthAlert(condition.recovered);
+            }
+        }
+    }
+}
@@ -0,0 +1,135 @@
+import logger from '../../utils/Logger.js';
+
+const TO_RAD = Math.PI / 180;
+
+function formatPos(pos) {
+    return `${Math.round(pos.x)}, ${Math.round(pos.y)}, ${Math.round(pos.z)}`;
+}
+
+// Remote look/use/attack for levers, buttons, doors and signs next to an AFK slot.
+export class InteractionManager {
+    constructor(owner) {
+        this.owner = owner;
+    }
+
+    getSettings() {
+        return {
+            reach: 4.5,
+            lookRange: 64,
+            ...(this.owner.config.settings.interaction || {})
+        };
+    }
+
+    checkReady() {
+        const bot = this.owner.bot;
+        if (!bot || this.owner.status !== 'online' || !bot.entity) {
+            return `❌ Slot ${this.owner.slot}: Bot online değil`;
+        }
+        return null;
+    }
+
+    eyeDistance(target) {
+        const bot = this.owner.bot;
+        const eye = bot.entity.position.offset(0, bot.entity.height, 0);
+        return eye.distanceTo(target);
+    }
+
+    // yaw/pitch are F3 degrees (yaw 0 = south, pitch 90 = straight down).
+    async look(yawDegrees, pitchDegrees) {
+        const notReady = this.checkReady();
+        if (notReady) return { success: false, message: notReady };
+
+        if (!Number.isFinite(yawDegrees) || !Number.isFinite(pitchDegrees) || Math.abs(pitchDegrees) > 90) {
+            return { success: false, message: '❌ Geçersiz açı (pitch -90 ile 90 arasında olmalı)' };
+        }
+
+        const yaw = Math.PI - (yawDegrees * TO_RAD);
+        const pitch = -pitchDegrees * TO_RAD;
+        await this.owner.bot.look(yaw, pitch, true);
+
+        return { success: true, message: `👀 Slot ${this.owner.slot}: yaw **${yawDegrees}°**, pitch **${pitchDegrees}°** yönüne bakıyor` };
+    }
+
+    async lookAt(pos) {
+        const notReady = this.checkReady();
+        if (notReady) return { success: false, message: notReady };
+
+        const target = this.owner.toBlockVec3(pos);
+        if (!target) {
+            return { success: false, message: '❌ Geçersiz koordinat' };
+        }
+
+        const center = target.offset(0.5, 0.5, 0.5);
+        const distance = this.eyeDistance(center);
+        const { lookRange } = this.getSettings();
+        if (distance > lookRange) {
+            return { success: false, message: `❌ Slot ${this.owner.slot}: Hedef çok uzak (${distance.toFixed(1)} / ${lookRange} blok)` };
+        }
+
+        await this.owner.bot.lookAt(center, true);
+        const block = this.owner.bot.blockAt(target);
+        return { success: true, message: `👀 Slot ${this.owner.slot}: \`${formatPos(target)}\` noktasına bakıyor (${block?.name || 'bilinmeyen blok'}, ${distance.toFixed(1)} blok)` };
+    }
+
+    async useBlock(pos) {
+        const notReady = this.checkReady();
+        if (notReady) return { success: false, message: notReady };
+
+        const target = this.owner.toBlockVec3(pos);
+        if (!target) {
+            return { success: false, message: '❌ Geçersiz koordinat' };
+        }
+
+        const block = this.owner.bot.blockAt(target);
+        if (!block || block.name === 'air' || block.name === 'cave_air' || block.name === 'void_air') {
+            return { success: false, message: `❌ Slot ${this.owner.slot}: \`${formatPos(target)}\` noktasında blok yok veya chunk yüklenmedi` };
+        }
+
+        const distance = this.eyeDistance(target.offset(0.5, 0.5, 0.5));
+        const { reach } = this.getSettings();
+        if (distance > reach) {
+            return { success: false, message: `❌ Slot ${this.owner.slot}: **${block.name}** erişim dışında (${distance.toFixed(1)} / ${reach} blok)` };
+        }
+
+        try {
+            await this.owner.bot.activateBlock(block);
+        } catch (error) {
+            return { success: false, message: `❌ Slot ${this.owner.slot}: **${block.name}** kullanılamadı: ${error.message}` };
+        }
+
+        logger.info(`Slot ${this.owner.slot}: Activated ${block.name} at ${formatPos(target)}`);
+        return { success: true, message: `🖐️ Slot ${this.owner.slot}: **${block.name}** (\`${formatPos(target)}\`) kullanıldı` };
+    }
+
+    async useItem() {
+        const notReady = this.checkReady();
+        if (notReady) return { success: false, message: notReady };
+
+        const held = this.owner.bot.heldItem;
+        if (!held) {
+            return { success: false, message: `❌ Slot ${this.owner.slot}: Elde eşya yok` };
+        }
+
+        this.owner.bot.activateItem();
+        logger.info(`Slot ${this.owner.slot}: Used held item ${held.name}`);
+        return { success: true, message: `🖐️ Slot ${this.owner.slot}: Eldeki **${held.displayName || held.name}** kullanıldı` };
+    }
+
+    async attack() {
+        const notReady = this.checkReady();
+        if (notReady) return { success: false, message: notReady };
+
+        const { reach } = this.getSettings();
+        const entity = this.owner.bot.entityAtCursor(reach);
+        if (!entity) {
+            return { success: false, message: `❌ Slot ${this.owner.slot}: ${reach} blok içinde önünde varlık yok` };
+        }
+
+        const name = entity.username || entity.displayName || entity.name || 'bilinmeyen';
+        const distance = this.owner.bot.entity.position.distanceTo(entity.position);
+        this.owner.bot.attack(entity);
+
+        logger.info(`Slot ${this.owner.slot}: Attacked ${name} (${entity.type}) at ${distance.toFixed(1)} blocks`);
+        return { success: true, message: `⚔️ Slot ${this.owner.slot}: **${name}** (${entity.type}) vuruldu — ${distance.toFixed(1)} blok` };
+    }
+}
@@ -50,6 +50,35 @@ function getPickaxeScore(item) {
     return (base * 10000) + remaining;
 }
 
+const CONTAINER_BLOCK_PATTERN = /(^|_)(chest|barrel|shulker_box)$/;
+
+function formatPos(pos) {
+    return `${Math.round(pos.x)}, ${Math.round(pos.y)}, ${Math.round(pos.z)}`;
+}
+
+function toItemList(items) {
+    return items.map(item => ({
+        name: item.name,
+        count: item.count,
+        slot: item.slot
+    }));
+}
+
+// Container slots start at 0 and overlap player slot numbers, so platforms label them separately.
+function toContainerView(slot, label, items) {
+    if (items.length === 0) {
+        return { message: `Slot ${slot} — ${label} boş` };
+    }
+    return {
+        message: `Slot ${slot} — ${label}`,
+        data: toItemList(items).map(item => ({ ...item, container: true }))
+    };
+}
+
+function matchesItem(item, itemName) {
+    return itemName === 'all' || item.name.includes(itemName);
+}
+
 export class InventoryManager {
     constructor(owner) {
         this.owner = owner;
@@ -93,6 +122,8 @@ export class InventoryManager {
         this.owner.inventoryMonitorInterval = setInterval(() => {
             if (!this.owner.bot || this.owner.status !== 'online' || this.owner.isInLobby) return;
 
+            this.owner.autoStash.check();
+
             const totalSlots = 36;
             const emptySlots = this.owner.bot.inventory.emptySlotCount();
             const usedSlots = totalSlots - emptySlots;
@@ -147,22 +178,119 @@ export class InventoryManager {
             return null;
         }
 
-        return this.owner.bot.inventory.items().map(item => ({
-            name: item.name,
-            count: item.count,
-            slot: item.slot
+        return toItemList(this.owner.bot.inventory.items());
+    }
+
+    // Resolves the block at pos and opens it; the caller must close the returned window.
+    async openContainerAt(pos) {
+        const bot = this.owner.bot;
+        if (!bot || this.owner.status !== 'online' || !bot.entity) {
+            throw new Error('Bot online değil');
+        }
+
+        const target = this.owner.toBlockVec3(pos);
+        if (!target) {
+            throw new Error('Geçersiz koordinat');
+        }
+
+        const block = bot.blockAt(target);
+        if (!block || !CONTAINER_BLOCK_PATTERN.test(block.name)) {
+            throw new Error(`\`${formatPos(target)}\` noktasında sandık, varil veya shulker yok (${block?.name || 'chunk yüklenmedi'})`);
+        }
+
+        const eye = bot.entity.position.offset(0, bot.entity.height, 0);
+        const distance = eye.distanceTo(target.offset(0.5, 0.5, 0.5));
+        const { reach } = this.owner.interactionManager.getSettings();
+        if (distance > reach) {
+            throw new Error(`**${block.name}** erişim dışında (${distance.toFixed(1)} / ${reach} blok)`);
+        }
+
+        const window = await bot.openContainer(block);
+        return { window, block, label: `${block.name} (${formatPos(target)})` };
+    }
+
+    // Manual container commands; the protection loop opens its ender chest through openContainerAt directly.
+    async withContainer(pos, callback) {
+        if (this.owner._protectionRunning) {
+            return { success: false, message: `❌ Slot ${this.owner.slot}: Koruma protokolü çalışıyor` };
+        }
+
+        let opened;
+        try {
+            opened = await this.openContainerAt(pos);
+        } catch (error) {
+            return { success: false, message: `❌ Slot ${this.owner.slot}: ${error.message}` };
+        }
+
+        try {
+            return await callback(opened);
+        } catch (error) {
+            logger.error(`Slot ${this.owner.slot}: Container operation on ${opened.label} failed: ${error.message}`);
+            return { success: false, message: `❌ Slot ${this.owner.slot}: ${opened.label} işlemi başarısız: ${error.message}` };
+        } finally {
+            opened.window.close();
+        }
+    }
+
+    async listContainer(pos) {
+        return this.withContainer(pos, async ({ window, label }) => ({
+            success: true,
+            ...toContainerView(this.owner.slot, label, window.containerItems())
         }));
     }
 
+    // Moves up to count items accepted by filter (all of them when count is null) between the bot and the container.
+    async moveItems(window, direction, filter, count = null) {
+        const source = direction === 'deposit' ? window.items() : window.containerItems();
+        const totals = new Map();
+        for (const item of source.filter(filter)) {
+            const total = totals.get(item.type) || { name: item.name, count: 0 };
+            total.count += item.count;
+            totals.set(item.type, total);
+        }
+
+        const moved = [];
+        let remaining = count ?? Infinity;
+        for (const [type, total] of totals) {
+            if (remaining <= 0) break;
+            const amount = Math.min(total.count, remaining);
+            if (direction === 'deposit') {
+                await window.deposit(type, null, amount);
+            } else {
+                await window.withdraw(type, null, amount);
+            }
+            remaining -= amount;
+            moved.push({ name: total.name, count: amount });
+        }
+        return moved;
+    }
+
+    async transferItems(direction, pos, itemName, count = null) {
+        return this.withContainer(pos, async ({ window, label }) => {
+            const moved = await this.moveItems(window, direction, item => matchesItem(item, itemName), count);
+            if (moved.length === 0) {
+                const where = direction === 'deposit' ? 'envanterde' : `${label} içinde`;
+                return { success: false, message: `❌ Slot ${this.owner.slot}: **${itemName}** ${where} bulunamadı` };
+            }
+
+            const summary = moved.map(item => `${item.count}x ${item.name}`).join(', ');
+            logger.info(`Slot ${this.owner.slot}: ${direction === 'deposit' ? 'Deposited' : 'Withdrew'} ${summary} ${direction === 'deposit' ? 'into' : 'from'} ${label}`);
+            const view = toContainerView(this.owner.slot, label, window.containerItems());
+            return {
+                success: true,
+                ...view,
+                message: `${view.message} — ${summary} ${direction === 'deposit' ? 'konuldu' : 'alındı'}`
+            };
+        });
+    }
+
     async dropItem(itemName, count = null) {
         if (!this.owner.bot || this.owner.status !== 'online') {
             return { success: false, message: 'Bot not ready' };
         }
 
         try {
-            const items = this.owner.bot.inventory.items().filter(item =>
-                itemName === 'all' || item.name.includes(itemName)
-            );
+            const items = this.owner.bot.inventory.items().filter(item => matchesItem(item, itemName));
 
             if (items.length === 0) {
                 return { success: false, message: 'Item not found' };
@@ -0,0 +1,253 @@
+import logger from '../../utils/Logger.js';
+import { detectBan } from './BanDetector.js';
+
+const KICK_ACTIONS = new Set(['reconnect', 'stop', 'notify-critical', 'wait-for-server']);
+const KICK_HISTORY_LIMIT = 25;
+
+function extractReasonText(value) {
+    if (!value) return '';
+    if (typeof value === 'string') return value;
+
+    if (Array.isArray(value)) {
+        return value.map(extractReasonText).filter(Boolean).join(' ').trim();
+    }
+
+    if (typeof value === 'object') {
+        const parts = [];
+
+        if (typeof value.text === 'string') {
+            parts.push(value.text);
+        }
+        if (typeof value.value === 'string') {
+            parts.push(value.value);
+        }
+        if (typeof value.translate === 'string') {
+            parts.push(value.translate);
+        }
+        if (value.with) {
+            parts.push(extractReasonText(value.with));
+        }
+        if (value.extra) {
+            parts.push(extractReasonText(value.extra));
+        }
+
+        return parts.filter(Boolean).join(' ').trim();
+    }
+
+    return String(value);
+}
+
+export function formatKickReason(reason) {
+    const text = extractReasonText(reason);
+    if (text) return text;
+
+    try {
+        return JSON.stringify(reason);
+    } catch (error) {
+        return String(reason);
+    }
+}
+
+// { name, match: "text" | ["a", "b"], pattern: "regex", flags, action, delayMs, maxRetries }
+function normalizeKickRule(rule, index) {
+    if (!rule || typeof rule !== 'object') {
+        return null;
+    }
+
+    const action = KICK_ACTIONS.has(rule.action) ? rule.action : null;
+    if (!action) {
+        logger.warn(`Kick rule #${index + 1} ignored: unknown action "${rule.action}"`);
+        return null;
+    }
+
+    let regex = null;
+    if (rule.pattern) {
+        try {
+            // g/y would make regex.test() remember lastIndex between kicks.
+            regex = new RegExp(rule.pattern, String(rule.flags ?? 'i').replace(/[gy]/g, ''));
+        } catch (error) {
+            logger.warn(`Kick rule #${index + 1} ignored: invalid pattern (${error.message})`);
+            return null;
+        }
+    }
+
+    const substrings = (Array.isArray(rule.match) ? rule.match : [rule.match])
+        .filter(value => typeof value === 'string' && value.length > 0)
+        .map(value => value.toLowerCase());
+
+    if (!regex && substrings.length === 0) {
+        return null;
+    }
+
+    return {
+        name: String(rule.name || `rule-${index + 1}`),
+        regex,
+        substrings,
+        action,
+        delayMs: Number(rule.delayMs) > 0 ? Number(rule.delayMs) : null,
+        maxRetries: Number(rule.maxRetries) > 0 ? Number(rule.maxRetries) : null
+    };
+}
+
+export class KickManager {
+    constructor(owner) {
+        this.owner = owner;
+        this.ruleCache = null; // { signature, rules } so rules are compiled (and warned about) once per config change
+    }
+
+    // Account rules first, then global rules, then the built-in session-conflict rule.
+    getRules() {
+        const settings = this.owner.config.settings;
+        const configured = [
+            ...(Array.isArray(this.owner.accountConfig.kickRules) ? this.owner.accountConfig.kickRules : []),
+            ...(Array.isArray(settings.kickRules) ? settings.kickRules : [])
+        ];
+
+        const signature = JSON.stringify(configured);
+        if (this.ruleCache?.signature !== signature) {
+            this.ruleCache = { signature, rules: configured.map(normalizeKickRule).filter(Boolean) };
+        }
+
+        const rules = [...this.ruleCache.rules];
+        rules.push({
+            name: 'session-conflict',
+            regex: null,
+            substrings: ['already online', 'already connected', 'another instance of game', 'logged in from another'],
+            action: 'reconnect',
+            delayMs: settings.alreadyOnlineReconnectDelay ?? 120000,
+            maxRetries: settings.maxAlreadyOnlineRetries ?? 3
+        });
+        return rules;
+    }
+
+    classify(reasonText) {
+        const lower = String(reasonText || '').toLowerCase();
+        return this.getRules().find(rule => (
+            (rule.regex && rule.regex.test(reasonText)) ||
+            rule.substrings.some(substring => lower.includes(substring))
+        )) || null;
+    }
+
+    recordKick(reasonText, rule, action) {
+        this.owner.kickHistory.unshift({
+            at: Date.now(),
+            reason: reasonText,
+            rule: rule ? rule.name : null,
+            action
+        });
+        if (this.owner.kickHistory.length > KICK_HISTORY_LIMIT) {
+            this.owner.kickHistory.length = KICK_HISTORY_LIMIT;
+        }
+    }
+
+    notify(message) {
+        if (this.owner.onKickAlert) {
+            this.owner.onKickAlert(message);
+        }
+    }
+
+    // loggedIn is false when the server refused us with a login-phase disconnect packet.
+    handleKick(reason, loggedIn = true) {
+        const reasonText = formatKickReason(reason);
+        logger.warn(`Slot ${this.owner.slot}: Kicked ${loggedIn ? 'from' : 'during login,'} reason: ${reasonText}`);
+        this.owner.status = 'kicked';
+
+        const ban = detectBan(reasonText, this.owner.config.settings.banDetection);
+        if (ban) {
+            const until = ban.expiresAt ? new Date(ban.expiresAt).toISOString() : 'indefinite';
+            logger.error(`Slot ${this.owner.slot}: Ban detected (${loggedIn ? 'kick' : 'login disconnect'}), quarantined until ${until}.`);
+            this.recordKick(reasonText, { name: 'ban' }, 'quarantine');
+            this.owner.isManuallyStopped = true;
+            this.owner.status = 'banned';
+            if (this.owner.onBanDetected) {
+                this.owner.onBanDetected(ban);
+            }
+            return;
+        }
+
+        const reasonStr = String(reasonText || '').toLowerCase();
+        const maxSameKickRetries = this.owner.config.settings.maxSameKickRetries ?? 5;
+        const sameKickWindowMs = this.owner.config.settings.sameKickWindowMs ?? 300000;
+        const now = Date.now();
+
+        if (
+            this.owner.lastKickSignature === reasonStr &&
+            reasonStr &&
+            (now - this.owner.lastKickAt) <= sameKickWindowMs
+        ) {
+            this.owner.sameKickStreak++;
+        } else {
+            this.owner.sameKickStreak = 1;
+        }
+
+        this.owner.lastKickSignature = reasonStr;
+        this.owner.lastKickAt = now;
+
+        if (this.owner.sameKickStreak > 1) {
+            logger.warn(`Slot ${this.owner.slot}: Same kick reason repeated (${this.owner.sameKickStreak}/${maxSameKickRetries})`);
+        }
+
+        const rule = this.classify(reasonText);
+
+        if (this.owner.sameKickStreak >= maxSameKickRetries) {
+            logger.error(`Slot ${this.owner.slot}: Kick loop protection triggered after ${this.owner.sameKickStreak} repeated kicks. Auto-reconnect stopped for this slot.`);
+            this.recordKick(reasonText, rule, 'loop-stop');
+            this.owner.isManuallyStopped = true;
+            return;
+        }
+
+        if (!rule) {
+            this.owner.kickRuleHits.clear();
+            this.recordKick(reasonText, null, 'reconnect');
+            return;
+        }
+
+        // Consecutive hits of the same rule; any other kick resets the counter.
+        const hits = (this.owner.kickRuleHits.get(rule.name) || 0) + 1;
+        this.owner.kickRuleHits.clear();
+        this.owner.kickRuleHits.set(rule.name, hits);
+
+        if (rule.maxRetries && hits >= rule.maxRetries) {
+            logger.error(`Slot ${this.owner.slot}: Kick rule '${rule.name}' matched ${hits} times. Auto-reconnect stopped for this slot.`);
+            this.recordKick(reasonText, rule, 'stop');
+            this.owner.isManuallyStopped = true;
+            this.notify(`⛔ **Slot ${this.owner.slot}:** \`${rule.name}\` kick kuralı ${hits} kez eşleşti, otomatik yeniden bağlanma durduruldu.\nSebep: ${reasonText}`);
+            return;
+        }
+
+        this.recordKick(reasonText, rule, rule.action);
+
+        switch (rule.action) {
+            case 'stop':
+                logger.error(`Slot ${this.owner.slot}: Kick rule '${rule.name}' requests stop. Auto-reconnect stopped for this slot.`);
+                this.owner.isManuallyStopped = true;
+                this.notify(`⛔ **Slot ${this.owner.slot}:** \`${rule.name}\` kick kuralı nedeniyle durduruldu.\nSebep: ${reasonText}`);
+                break;
+            case 'notify-critical':
+                this.notify(`🚨 **KRİTİK KICK** 🚨\nSlot ${this.owner.slot} (\`${rule.name}\`): ${reasonText}`);
+                if (rule.delayMs) {
+                    this.owner.tempReconnectDelay = rule.delayMs;
+                }
+                break;
+            case 'wait-for-server':
+                logger.warn(`Slot ${this.owner.slot}: Kick rule '${rule.name}' matched. Waiting for server before reconnect.`);
+                this.owner.pendingServerWait = { reason: reasonText, minWaitMs: rule.delayMs || 0 };
+                break;
+            default:
+                if (rule.delayMs) {
+                    logger.warn(`Slot ${this.owner.slot}: Kick rule '${rule.name}' matched. Waiting ${Math.round(rule.delayMs / 1000)}s before reconnect${rule.maxRetries ? ` (${hits}/${rule.maxRetries})` : ''}.`);
+                    this.owner.tempReconnectDelay = rule.delayMs;
+                }
+                break;
+        }
+    }
+
+    getKickHistory() {
+        return {
+            slot: this.owner.slot,
+            username: this.owner.accountConfig.username,
+            sameKickStreak: this.owner.sameKickStreak,
+            kicks: this.owner.kickHistory.slice()
+        };
+    }
+}
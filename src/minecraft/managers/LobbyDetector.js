@@ -0,0 +1,242 @@
+import logger from '../../utils/Logger.js';
+
+const LOBBY_DETECTORS = ['position', 'chat', 'dimension', 'scoreboard', 'tabList', 'compass'];
+
+// Without a lobbyDetection block only the position detector is active, which matches the old behaviour.
+const DEFAULT_DETECTION = {
+    mode: 'vote',
+    minVotes: 1,
+    priority: ['dimension', 'scoreboard', 'tabList', 'compass', 'chat', 'position'],
+    detectors: {
+        position: { enabled: true, weight: 1 },
+        chat: { enabled: true, weight: 1 }
+    }
+};
+
+const DEFAULT_COMPASS_ITEMS = ['compass', 'recovery_compass', 'clock', 'nether_star'];
+
+function stripFormatting(value) {
+    return String(value || '').replace(/§./g, '').trim();
+}
+
+function componentText(value) {
+    if (!value) return '';
+    if (typeof value === 'string') return stripFormatting(value);
+    if (typeof value.toString === 'function' && value.toString !== Object.prototype.toString) {
+        return stripFormatting(value.toString());
+    }
+    try {
+        return stripFormatting(JSON.stringify(value));
+    } catch (error) {
+        return '';
+    }
+}
+
+const patternCache = new Map(); // pattern -> RegExp | null, so a pattern is compiled (and warned about) once
+
+function testPattern(pattern, text) {
+    if (!pattern || !text) return false;
+    if (!patternCache.has(pattern)) {
+        try {
+            patternCache.set(pattern, new RegExp(pattern, 'i'));
+        } catch (error) {
+            logger.warn(`Lobby detection pattern /${pattern}/ is invalid: ${error.message}`);
+            patternCache.set(pattern, null);
+        }
+    }
+    return patternCache.get(pattern)?.test(text) ?? false;
+}
+
+// lobbyPattern match -> true (lobby), homePattern match -> false (home), otherwise no opinion.
+function classifyText(options, text) {
+    if (testPattern(options.lobbyPattern, text)) return true;
+    if (testPattern(options.homePattern, text)) return false;
+    return null;
+}
+
+export class LobbyDetector {
+    constructor(owner) {
+        this.owner = owner;
+        this.worldName = null;
+        this.lastRejection = null;
+        this.spawned = false;
+    }
+
+    // Server profile block first, then settings.lobbyDetection, then position-only defaults.
+    getSettings() {
+        const profileDetection = this.owner.getServerProfile().lobbyDetection;
+        const detection = profileDetection || this.owner.config.settings.lobbyDetection || {};
+        const detectors = { ...DEFAULT_DETECTION.detectors };
+        for (const [name, options] of Object.entries(detection.detectors || {})) {
+            detectors[name] = { ...(detectors[name] || {}), ...(options || {}) };
+        }
+
+        return {
+            mode: detection.mode === 'priority' ? 'priority' : 'vote',
+            minVotes: Math.max(1, Number(detection.minVotes) || DEFAULT_DETECTION.minVotes),
+            priority: Array.isArray(detection.priority) ? detection.priority : DEFAULT_DETECTION.priority,
+            detectors
+        };
+    }
+
+    attach(bot) {
+        this.worldName = null;
+        this.spawned = false;
+
+        const rememberWorld = (packet) => {
+            this.worldName = packet?.worldName ?? packet?.worldState?.name ?? this.worldName;
+        };
+        bot._client.on('login', rememberWorld);
+        bot._client.on('respawn', rememberWorld);
+
+        // mineflayer updates its own state in earlier listeners, so it is current by the time these run.
+        // Dimension is re-checked on spawn because the position is stale between respawn and spawn.
+        bot.on('spawn', () => {
+            this.spawned = true;
+            this.reevaluate('dimension');
+        });
+        bot.on('scoreboardPosition', () => this.reevaluate('scoreboard'));
+        bot.on('scoreboardTitleChanged', () => this.reevaluate('scoreboard'));
+        bot._client.on('playerlist_header', () => this.reevaluate('tabList'));
+        bot.on('heldItemChanged', () => this.reevaluate('compass'));
+    }
+
+    positionSignal() {
+        const position = this.owner.bot?.entity?.position;
+        if (!position) return null;
+
+        const { driftRadius, teleportDistance } = this.owner.getAfkThresholds();
+        const anchor = this.owner.getAfkAnchor();
+        if (anchor && this.owner.navigationManager.suppressesAnchorChecks()) {
+            // Deliberately walked away: only a teleport-sized jump still counts.
+            const distance = this.owner.getDistanceFromReference(anchor, position);
+            return distance !== null && distance > teleportDistance ? true : null;
+        }
+        if (anchor) {
+            const distance = this.owner.getDistanceFromReference(anchor, position);
+            return distance === null ? null : distance > driftRadius;
+        }
+
+        const distance = this.owner.getDistanceToHome(position);
+        if (distance === null) return null;
+        if (distance > teleportDistance) return true;
+        if (distance <= this.owner.getLobbyReturnThreshold()) return false;
+        return null;
+    }
+
+    dimensionSignal(options) {
+        const names = [this.owner.bot?.game?.dimension, this.worldName].filter(Boolean).map(String);
+        for (const name of names) {
+            const signal = classifyText(options, name);
+            if (signal !== null) return signal;
+        }
+        return null;
+    }
+
+    scoreboardSignal(options) {
+        const sidebar = this.owner.bot?.scoreboard?.sidebar;
+        return sidebar ? classifyText(options, componentText(sidebar.title)) : null;
+    }
+
+    tabListSignal(options) {
+        const tablist = this.owner.bot?.tablist;
+        if (!tablist) return null;
+        return classifyText(options, `${componentText(tablist.header)}\n${componentText(tablist.footer)}`);
+    }
+
+    // Hub servers hand out a server-selector item; having one in the hotbar is a lobby signal.
+    compassSignal(options) {
+        const bot = this.owner.bot;
+        if (!bot?.inventory) return null;
+
+        const itemNames = Array.isArray(options.items) ? options.items : DEFAULT_COMPASS_ITEMS;
+        const hotbar = bot.inventory.slots.slice(bot.inventory.hotbarStart, bot.inventory.hotbarStart + 9);
+        const found = hotbar.some(item => item && (
+            itemNames.includes(item.name) ||
+            testPattern(options.namePattern, stripFormatting(item.customName || ''))
+        ));
+        return found ? true : null;
+    }
+
+    // Returns { detector: true | false | null }; chat only exists as a transient signal from the caller.
+    collectSignals(settings, transient) {
+        const signals = {};
+        for (const name of LOBBY_DETECTORS) {
+            const options = settings.detectors[name];
+            if (!options || options.enabled === false) continue;
+
+            switch (name) {
+                case 'position': signals.position = this.positionSignal(); break;
+                case 'chat': signals.chat = transient.chat ?? null; break;
+                case 'dimension': signals.dimension = this.dimensionSignal(options); break;
+                case 'scoreboard': signals.scoreboard = this.scoreboardSignal(options); break;
+                case 'tabList': signals.tabList = this.tabListSignal(options); break;
+                case 'compass': signals.compass = this.compassSignal(options); break;
+            }
+        }
+        return signals;
+    }
+
+    evaluate(transient = {}) {
+        const settings = this.getSettings();
+        const signals = this.collectSignals(settings, transient);
+
+        if (settings.mode === 'priority') {
+            const decider = settings.priority.find(name => signals[name] !== null && signals[name] !== undefined);
+            return { lobby: decider ? signals[decider] : false, signals, decider: decider || null };
+        }
+
+        let votes = 0;
+        for (const [name, signal] of Object.entries(signals)) {
+            if (signal === true) {
+                const weight = Number(settings.detectors[name].weight);
+                votes += Number.isFinite(weight) ? weight : 1;
+            }
+        }
+        return { lobby: votes >= settings.minVotes, signals, votes, minVotes: settings.minVotes };
+    }
+
+    describe(result) {
+        const parts = Object.entries(result.signals)
+            .filter(([, signal]) => signal !== null)
+            .map(([name, signal]) => `${name}=${signal ? 'lobby' : 'home'}`);
+        const summary = result.decider !== undefined
+            ? `decider ${result.decider || 'none'}`
+            : `votes ${result.votes}/${result.minVotes}`;
+        return `${parts.join(', ') || 'no signals'} (${summary})`;
+    }
+
+    // Gate used by enterLobbyMode / exitLobbyMode; wantLobby is the state the caller is asking for.
+    confirm(wantLobby, source, transient = {}) {
+        const result = this.evaluate(transient);
+        if (result.lobby === wantLobby) {
+            this.lastRejection = null;
+            return true;
+        }
+
+        // Periodic drift checks ask again every few seconds; only log when the verdict changes.
+        const rejection = `${wantLobby}:${this.describe(result)}`;
+        if (rejection !== this.lastRejection) {
+            this.lastRejection = rejection;
+            logger.info(`Slot ${this.owner.slot}: Lobby ${wantLobby ? 'entry' : 'exit'} via ${source} rejected by detectors: ${this.describe(result)}`);
+        }
+        return false;
+    }
+
+    // A non-position signal changed; re-run the vote so lobby state follows it.
+    reevaluate(source) {
+        const bot = this.owner.bot;
+        if (!bot?.entity || !this.spawned || this.owner.status !== 'online') return;
+
+        const settings = this.getSettings();
+        if (!settings.detectors[source] || settings.detectors[source].enabled === false) return;
+
+        const result = this.evaluate();
+        if (result.lobby && !this.owner.isInLobby) {
+            logger.warn(`Slot ${this.owner.slot}: 🏢 LOBBY DETECTED via ${source}: ${this.describe(result)}`);
+            this.owner.enterLobbyMode(source);
+        } else if (!result.lobby && this.owner.isInLobby && result.signals.position === false) {
+            this.owner.exitLobbyMode(source);
+        }
+    }
+}
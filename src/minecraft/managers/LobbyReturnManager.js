@@ -0,0 +1,232 @@
+import logger from '../../utils/Logger.js';
+
+const DEFAULT_STEP_TIMEOUT_MS = 15000;
+
+class SequenceCancelledError extends Error {
+    constructor() {
+        super('Lobby return sequence cancelled');
+        this.name = 'SequenceCancelledError';
+    }
+}
+
+function normalizeItemName(value) {
+    return String(value || '').replace(/§./g, '').toLowerCase().trim();
+}
+
+function describeStep(step) {
+    switch (step.type) {
+        case 'command': return `command ${step.command}`;
+        case 'wait': return `wait ${step.ms}ms`;
+        case 'wait-for-chat-match': return `wait-for-chat-match /${step.pattern}/`;
+        case 'wait-for-dimension': return `wait-for-dimension ${step.dimension}`;
+        case 'click-window-slot-by-item-name': return `click-window-slot-by-item-name ${step.item}`;
+        default: return step.type;
+    }
+}
+
+export class LobbyReturnManager {
+    constructor(owner) {
+        this.owner = owner;
+        this.runId = 0;
+        this.cancelWait = null;
+    }
+
+    // Account sequence, then the global one, then the legacy single lobbyReturnCommand.
+    getSequence() {
+        const accountSequence = this.owner.accountConfig.lobbyReturnSequence;
+        if (Array.isArray(accountSequence) && accountSequence.length > 0) {
+            return accountSequence;
+        }
+
+        const globalSequence = this.owner.config.settings.lobbyReturnSequence;
+        if (Array.isArray(globalSequence) && globalSequence.length > 0) {
+            return globalSequence;
+        }
+
+        return [{ type: 'command', command: this.owner.config.settings.lobbyReturnCommand || '/home sp' }];
+    }
+
+    isActive(runId) {
+        return runId === this.runId && Boolean(this.owner.bot) && this.owner.isInLobby;
+    }
+
+    start() {
+        this.stop();
+        const runId = this.runId;
+        const sequence = this.getSequence();
+        const retryIntervalMs = this.owner.getAfkThresholds().lobbyRetryIntervalMs;
+        logger.info(`Slot ${this.owner.slot}: Starting lobby return loop (${sequence.length} step(s), every ${Math.round(retryIntervalMs / 1000)}s)`);
+
+        this.runLoop(runId, sequence, retryIntervalMs).catch(error => {
+            if (!(error instanceof SequenceCancelledError)) {
+                logger.error(`Slot ${this.owner.slot}: Lobby return loop crashed: ${error.message}`);
+            }
+        });
+    }
+
+    stop() {
+        this.runId++;
+        if (this.cancelWait) {
+            this.cancelWait();
+            this.cancelWait = null;
+        }
+    }
+
+    async runLoop(runId, sequence, retryIntervalMs) {
+        while (this.isActive(runId)) {
+            await this.runSequence(runId, sequence);
+            if (!this.isActive(runId)) return;
+
+            // Fallback check: sometimes we might have already been teleported back but missed the event.
+            if (this.checkReturned()) return;
+
+            // Failed sequences wait the full interval too; a fast restart would resend /server commands until the server kicks for spam.
+            await this.sleep(runId, retryIntervalMs);
+            if (!this.isActive(runId) || this.checkReturned()) return;
+        }
+    }
+
+    checkReturned() {
+        if (!this.owner.bot?.entity) return false;
+
+        if (!this.owner.checkAfkAnchorDrift('lobby-retry')) {
+            const distToHome = this.owner.getDistanceToHome(this.owner.bot.entity.position);
+            if (distToHome !== null && distToHome <= this.owner.getLobbyReturnThreshold()) {
+                logger.info(`Slot ${this.owner.slot}: Lobby return loop detected we are back at base (${Math.round(distToHome)}m). Exiting lobby mode.`);
+                this.owner.exitLobbyMode('lobby-retry');
+            }
+        }
+        // The detectors may veto the exit (e.g. a hub near our coordinates), so trust the resulting state.
+        return !this.owner.isInLobby;
+    }
+
+    // Returns true when every step ran; any failing step aborts so the next attempt starts from the top.
+    async runSequence(runId, sequence) {
+        for (let index = 0; index < sequence.length; index++) {
+            const step = sequence[index];
+            try {
+                await this.runStep(runId, step);
+            } catch (error) {
+                if (error instanceof SequenceCancelledError) throw error;
+                logger.warn(`Slot ${this.owner.slot}: Lobby return step ${index + 1}/${sequence.length} (${describeStep(step)}) failed: ${error.message}. Restarting sequence.`);
+                return false;
+            }
+        }
+        return true;
+    }
+
+    async runStep(runId, step) {
+        if (!this.isActive(runId)) throw new SequenceCancelledError();
+
+        const timeoutMs = Math.max(500, Number(step.timeoutMs) || DEFAULT_STEP_TIMEOUT_MS);
+        switch (step.type) {
+            case 'command':
+                this.owner.bot.chat(step.command);
+                logger.info(`Slot ${this.owner.slot}: Sent ${step.command} (lobby return)`);
+                return;
+            case 'wait':
+                await this.sleep(runId, Math.max(0, Number(step.ms) || 0));
+                return;
+            case 'wait-for-chat-match':
+                // The regex is tested against every chat line, so g/y (stateful lastIndex) are dropped.
+                await this.waitForChat(runId, new RegExp(step.pattern, String(step.flags ?? 'i').replace(/[gy]/g, '')), timeoutMs);
+                return;
+            case 'wait-for-dimension':
+                await this.waitForDimension(runId, String(step.dimension || '').toLowerCase(), timeoutMs);
+                return;
+            case 'click-window-slot-by-item-name':
+                await this.clickWindowItem(runId, step, timeoutMs);
+                return;
+            default:
+                throw new Error(`unknown step type "${step.type}"`);
+        }
+    }
+
+    // Resolves once check() passes (tested now and on every emitter event); rejects on timeout or stop().
+    waitForEvent(runId, emitter, eventName, check, timeoutMs, label) {
+        return new Promise((resolve, reject) => {
+            if (!this.isActive(runId)) {
+                reject(new SequenceCancelledError());
+                return;
+            }
+            if (check()) {
+                resolve();
+                return;
+            }
+
+            const onEvent = (...args) => {
+                if (check(...args)) finish();
+            };
+            const finish = (error) => {
+                clearTimeout(timer);
+                emitter.removeListener(eventName, onEvent);
+                this.cancelWait = null;
+                if (error) reject(error); else resolve();
+            };
+            const timer = setTimeout(() => finish(new Error(`${label} timed out after ${Math.round(timeoutMs / 1000)}s`)), timeoutMs);
+
+            this.cancelWait = () => finish(new SequenceCancelledError());
+            emitter.on(eventName, onEvent);
+        });
+    }
+
+    sleep(runId, ms) {
+        return new Promise((resolve, reject) => {
+            if (!this.isActive(runId)) {
+                reject(new SequenceCancelledError());
+                return;
+            }
+
+            const timer = setTimeout(() => {
+                this.cancelWait = null;
+                resolve();
+            }, ms);
+            this.cancelWait = () => {
+                clearTimeout(timer);
+                reject(new SequenceCancelledError());
+            };
+        });
+    }
+
+    waitForChat(runId, regex, timeoutMs) {
+        return this.waitForEvent(runId, this.owner.bot, 'messagestr', (message) => (
+            typeof message === 'string' && regex.test(message)
+        ), timeoutMs, 'chat match');
+    }
+
+    waitForDimension(runId, dimension, timeoutMs) {
+        const inDimension = () => String(this.owner.bot?.game?.dimension || '').toLowerCase().includes(dimension);
+        // mineflayer emits 'game' after every login/respawn packet, which is when the dimension changes.
+        return this.waitForEvent(runId, this.owner.bot, 'game', inDimension, timeoutMs, `dimension ${dimension}`);
+    }
+
+    async clickWindowItem(runId, step, timeoutMs) {
+        const bot = this.owner.bot;
+
+        // Optionally open the GUI by using a hotbar item first (e.g. a server selector compass).
+        if (step.openWith && !bot.currentWindow) {
+            const opener = bot.inventory.items().find(item => (
+                normalizeItemName(item.name).includes(normalizeItemName(step.openWith)) ||
+                normalizeItemName(item.customName || item.displayName).includes(normalizeItemName(step.openWith))
+            ));
+            if (!opener) throw new Error(`opener item "${step.openWith}" not found`);
+            await bot.equip(opener, 'hand');
+            bot.activateItem();
+        }
+
+        await this.waitForEvent(runId, bot, 'windowOpen', () => Boolean(bot.currentWindow), timeoutMs, 'window open');
+
+        const wanted = normalizeItemName(step.item);
+        const window = bot.currentWindow;
+        const target = window.slots.find((item, slot) => (
+            item && slot < window.inventoryStart && (
+                normalizeItemName(item.name).includes(wanted) ||
+                normalizeItemName(item.customName || item.displayName).includes(wanted)
+            )
+        ));
+        if (!target) throw new Error(`item "${step.item}" not found in window`);
+
+        await bot.clickWindow(target.slot, 0, 0);
+        logger.info(`Slot ${this.owner.slot}: Clicked ${target.name} (slot ${target.slot}) in window (lobby return)`);
+    }
+}
@@ -0,0 +1,305 @@
+import pathfinderPkg from 'mineflayer-pathfinder';
+import logger from '../../utils/Logger.js';
+
+const { pathfinder, Movements, goals } = pathfinderPkg;
+
+const SAFETY_CHECK_INTERVAL_MS = 500;
+const MANUAL_HALT_REASON = 'manuel durdurma';
+
+// Walking only: no digging, towering or parkour so a path can never damage the base.
+export function createSafeMovements(bot) {
+    const movements = new Movements(bot);
+    movements.canDig = false;
+    movements.allow1by1towers = false;
+    movements.allowParkour = false;
+    movements.scafoldingBlocks = [];
+    return movements;
+}
+
+// Why any walk has to stop now (the protection protocol's abort conditions); null while it may go on.
+export function walkAbortReason(owner) {
+    if (!owner.bot || owner.status !== 'online') return 'bağlantı koptu';
+    if (owner.isInLobby) return 'lobby algılandı';
+    if (owner._protectionRunning) return 'koruma protokolü başladı';
+    if (owner.isEnemyNearby()) return 'yakında whitelist dışı oyuncu';
+    return null;
+}
+
+// pathfinder.goto has no timeout of its own; stop the pathfinder so the rejected walk does not linger.
+// With an owner the walk is also stopped as soon as walkAbortReason() reports something.
+export function gotoWithTimeout(bot, goal, timeoutMs, owner = null) {
+    let timer = null;
+    let safety = null;
+    const timeout = new Promise((_, reject) => {
+        const stopWith = (message) => {
+            bot.pathfinder.stop();
+            reject(new Error(message));
+        };
+        timer = setTimeout(() => stopWith(`${Math.round(timeoutMs / 1000)} sn içinde ulaşılamadı`), Math.max(5000, Number(timeoutMs) || 30000));
+        if (owner) {
+            safety = setInterval(() => {
+                const reason = walkAbortReason(owner);
+                if (reason) stopWith(reason);
+            }, SAFETY_CHECK_INTERVAL_MS);
+        }
+    });
+
+    return Promise.race([bot.pathfinder.goto(goal), timeout]).finally(() => {
+        clearTimeout(timer);
+        clearInterval(safety);
+    });
+}
+
+function formatPos(pos) {
+    return `${Math.round(pos.x)}, ${Math.round(pos.y)}, ${Math.round(pos.z)}`;
+}
+
+export class NavigationManager {
+    constructor(owner) {
+        this.owner = owner;
+        this.task = null; // { type, label, destination | entity, startedAt, lastProgressAt, timer, timeout }
+        this.awayFromAnchor = false;
+    }
+
+    // awayFromAnchor survives reconnects: the bot logs back in wherever it was left.
+    // A respawn (death, server switch) moves the bot anyway, so the hold no longer describes where it stands.
+    attach(bot) {
+        bot.loadPlugin(pathfinder);
+        this.task = null;
+        bot.on('respawn', () => this.clearAnchorHold());
+    }
+
+    getSettings() {
+        return {
+            progressIntervalMs: 15000,
+            gotoTimeoutMs: 300000,
+            followRange: 2,
+            ...(this.owner.config.settings.navigation || {})
+        };
+    }
+
+    isActive() {
+        return Boolean(this.task);
+    }
+
+    // Drift checks would read a deliberate walk as lobby/displacement, so they pause until the bot is back.
+    suppressesAnchorChecks() {
+        return this.isActive() || this.awayFromAnchor || this.owner.autoStash.active;
+    }
+
+    notify(message) {
+        if (this.owner.onNavigationUpdate) {
+            this.owner.onNavigationUpdate(message);
+        }
+    }
+
+    checkReady() {
+        const bot = this.owner.bot;
+        if (!bot || this.owner.status !== 'online' || !bot.entity) {
+            return 'Bot online değil';
+        }
+        if (!bot.pathfinder) {
+            return 'Pathfinder yüklenmedi';
+        }
+        if (this.owner.isInLobby) {
+            return 'Bot lobby modunda';
+        }
+        if (this.owner._protectionRunning) {
+            return 'Koruma protokolü çalışıyor';
+        }
+        if (this.owner.autoStash.active) {
+            return 'Otomatik depolama çalışıyor';
+        }
+        if (this.owner.isEnemyNearby()) {
+            return 'Yakında whitelist dışı oyuncu var';
+        }
+        return null;
+    }
+
+    goto(target) {
+        const notReady = this.checkReady();
+        if (notReady) {
+            return { success: false, message: `❌ Slot ${this.owner.slot}: ${notReady}` };
+        }
+
+        let goal;
+        let destination;
+        const toAnchor = target === 'anchor';
+        if (toAnchor) {
+            const anchor = this.owner.getAfkAnchor();
+            if (!anchor) {
+                return { success: false, message: `❌ Slot ${this.owner.slot}: AFK anchor kayıtlı değil (\`/afkset\`)` };
+            }
+            destination = anchor;
+            goal = new goals.GoalBlock(Math.floor(anchor.x), Math.floor(anchor.y), Math.floor(anchor.z));
+        } else {
+            destination = target;
+            goal = new goals.GoalNear(target.x, target.y, target.z, 1);
+        }
+
+        const bot = this.owner.bot;
+        this.start({
+            type: 'goto',
+            label: toAnchor ? 'AFK anchor' : formatPos(destination),
+            destination,
+            toAnchor
+        });
+
+        const settings = this.getSettings();
+        const task = this.task;
+        const timeoutMs = Math.max(10000, Number(settings.gotoTimeoutMs) || 300000);
+        task.timeout = setTimeout(() => this.abort(task, `${Math.round(timeoutMs / 1000)} sn içinde ulaşılamadı`), timeoutMs);
+
+        bot.pathfinder.goto(goal)
+            .then(() => this.complete(task))
+            .catch(error => this.abort(task, error.message));
+
+        return { success: true, message: `🧭 Slot ${this.owner.slot}: **${task.label}** hedefine yol bulunuyor (${this.distanceLeft(task)} blok)` };
+    }
+
+    follow(username) {
+        const notReady = this.checkReady();
+        if (notReady) {
+            return { success: false, message: `❌ Slot ${this.owner.slot}: ${notReady}` };
+        }
+
+        const whitelist = (this.owner.config.settings.alertWhitelist || []).map(u => u.toLowerCase());
+        if (!whitelist.includes(String(username).toLowerCase())) {
+            return { success: false, message: `❌ **${username}** whitelist'te değil, sadece whitelist oyuncuları takip edilebilir` };
+        }
+
+        const bot = this.owner.bot;
+        const player = Object.values(bot.players).find(p => p.username.toLowerCase() === String(username).toLowerCase());
+        if (!player?.entity) {
+            return { success: false, message: `❌ Slot ${this.owner.slot}: **${username}** görüş mesafesinde değil` };
+        }
+
+        this.start({ type: 'follow', label: player.username, entity: player.entity });
+        bot.pathfinder.setGoal(new goals.GoalFollow(player.entity, Math.max(1, Number(this.getSettings().followRange) || 2)), true);
+
+        return { success: true, message: `👣 Slot ${this.owner.slot}: **${player.username}** takip ediliyor. Durdurmak için \`/halt ${this.owner.slot}\`` };
+    }
+
+    start(task) {
+        this.halt(null);
+        this.owner.anchorRecovery.stop();
+
+        const bot = this.owner.bot;
+        bot.pathfinder.setMovements(createSafeMovements(bot));
+        bot.setControlState('sneak', false);
+
+        const now = Date.now();
+        this.task = { ...task, startedAt: now, lastProgressAt: now };
+        const current = this.task;
+        current.timer = setInterval(() => this.tick(current), SAFETY_CHECK_INTERVAL_MS);
+        logger.info(`Slot ${this.owner.slot}: Navigation ${task.type} -> ${task.label} started`);
+    }
+
+    distanceLeft(task) {
+        const position = this.owner.bot?.entity?.position;
+        const target = task.type === 'follow' ? task.entity?.position : task.destination;
+        if (!position || !target) return '?';
+        return Math.round(this.owner.getDistanceFromReference(target, position));
+    }
+
+    // Same abort conditions as the protection protocol: enemy in emergency range, lobby, disconnect.
+    tick(task) {
+        if (this.task !== task) return;
+
+        const reason = walkAbortReason(this.owner);
+        if (reason) {
+            this.abort(task, reason);
+            return;
+        }
+        if (task.type === 'follow' && (!task.entity?.isValid || !this.owner.bot.entities[task.entity.id])) {
+            this.abort(task, `${task.label} görüş mesafesinden çıktı`);
+            return;
+        }
+
+        const progressIntervalMs = Math.max(5000, Number(this.getSettings().progressIntervalMs) || 15000);
+        if (Date.now() - task.lastProgressAt >= progressIntervalMs) {
+            task.lastProgressAt = Date.now();
+            const elapsed = Math.round((Date.now() - task.startedAt) / 1000);
+            this.notify(task.type === 'follow'
+                ? `👣 **Slot ${this.owner.slot}:** ${task.label} takip ediliyor (${this.distanceLeft(task)} blok, ${elapsed} sn)`
+                : `🧭 **Slot ${this.owner.slot}:** ${task.label} hedefine ${this.distanceLeft(task)} blok kaldı (${elapsed} sn)`);
+        }
+    }
+
+    finish(task) {
+        if (this.task !== task) return false;
+
+        clearInterval(task.timer);
+        clearTimeout(task.timeout);
+        this.task = null;
+
+        const bot = this.owner.bot;
+        if (bot?.pathfinder) {
+            bot.pathfinder.stop();
+        }
+        if (bot) {
+            bot.setControlState('sneak', true);
+        }
+        return true;
+    }
+
+    // A bot the user walked outside the recovery tolerance was put there on purpose; stop pulling it back.
+    updateAnchorHold() {
+        const anchor = this.owner.getAfkAnchor();
+        const position = this.owner.bot?.entity?.position;
+        if (!anchor || !position) {
+            this.awayFromAnchor = false;
+            return;
+        }
+        const distance = this.owner.getDistanceFromReference(anchor, position);
+        this.awayFromAnchor = distance > this.owner.anchorRecovery.getSettings().tolerance;
+    }
+
+    // Only a finished user walk decides the hold; an aborted one leaves it as it was.
+    complete(task) {
+        if (!this.finish(task)) return;
+
+        if (task.toAnchor) {
+            this.clearAnchorHold();
+        } else {
+            this.updateAnchorHold();
+        }
+        const elapsed = Math.round((Date.now() - task.startedAt) / 1000);
+        logger.info(`Slot ${this.owner.slot}: Navigation ${task.type} -> ${task.label} finished in ${elapsed}s`);
+
+        let message = task.type === 'follow'
+            ? `⏹️ **Slot ${this.owner.slot}:** ${task.label} takibi bitirildi (${elapsed} sn)`
+            : `✅ **Slot ${this.owner.slot}:** ${task.label} hedefine ulaşıldı (${elapsed} sn)`;
+        if (this.awayFromAnchor && this.owner.getAfkAnchor()) {
+            message += `\nℹ️ \`/goto ${this.owner.slot} anchor\` ile dönene kadar AFK anchor kontrolü duraklatıldı.`;
+        }
+        this.notify(message);
+    }
+
+    abort(task, reason) {
+        if (!this.finish(task)) return;
+
+        logger.warn(`Slot ${this.owner.slot}: Navigation ${task.type} -> ${task.label} aborted: ${reason}`);
+        this.notify(`⛔ **Slot ${this.owner.slot}:** ${task.type === 'follow' ? 'Takip' : 'Yol'} iptal edildi (${task.label}): ${reason}`);
+    }
+
+    // reason null means a silent replace by a new task. A follow has no destination, so the user's
+    // /halt is how it completes.
+    halt(reason = MANUAL_HALT_REASON) {
+        const task = this.task;
+        if (!task) return false;
+
+        if (!reason) {
+            this.finish(task);
+        } else if (task.type === 'follow' && reason === MANUAL_HALT_REASON) {
+            this.complete(task);
+        } else {
+            this.abort(task, reason);
+        }
+        return true;
+    }
+
+    clearAnchorHold() {
+        this.awayFromAnchor = false;
+    }
+}
@@ -0,0 +1,174 @@
+import logger from '../../utils/Logger.js';
+
+export const THREAT_ACTIONS = ['notify', 'protect', 'spawn', 'disconnect', 'disconnect-base'];
+
+// Alerts go out before anything that can drop the connection.
+const ACTION_ORDER = ['notify', 'protect', 'spawn', 'disconnect-base', 'disconnect'];
+const DISCONNECT_ACTIONS = new Set(['disconnect', 'disconnect-base']);
+// A zone is as severe as its strongest action.
+const ACTION_SEVERITY = { notify: 1, protect: 2, spawn: 3, disconnect: 4, 'disconnect-base': 5 };
+
+function normalizeZone(zone, index) {
+    const radius = Number(zone?.radius);
+    const regionDistance = Number(zone?.regionDistance);
+    const actions = (Array.isArray(zone?.actions) ? zone.actions : ['notify'])
+        .filter(action => THREAT_ACTIONS.includes(action));
+
+    return {
+        name: String(zone?.name || `zone${index + 1}`),
+        radius: Number.isFinite(radius) && radius > 0 ? radius : Infinity,
+        insideRegion: zone?.insideRegion === true,
+        regionDistance: zone?.regionDistance !== undefined && Number.isFinite(regionDistance) && regionDistance >= 0 ? regionDistance : null,
+        actions: ACTION_ORDER.filter(action => actions.includes(action)),
+        spawnCommand: zone?.spawnCommand || null
+    };
+}
+
+// Hostile entity rule: a zone limited to entity names (mineflayer entity.name, e.g. creeper, tnt, end_crystal).
+function normalizeEntityRule(rule, index) {
+    const names = Array.isArray(rule?.entities) ? rule.entities : [rule?.entity];
+    const entities = names.filter(Boolean).map(name => String(name).toLowerCase());
+    if (entities.length === 0) return null;
+
+    const zone = normalizeZone({ radius: 16, ...rule, name: rule.name || entities.join('+') }, index);
+    return { ...zone, entities };
+}
+
+// The tightest limit a zone sets; among equally severe matches the tightest zone wins.
+function zoneReach(zone) {
+    return Math.min(zone.insideRegion ? 0 : Infinity, zone.regionDistance ?? Infinity, zone.radius);
+}
+
+function zoneSeverity(zone) {
+    return Math.max(0, ...zone.actions.map(action => ACTION_SEVERITY[action]));
+}
+
+// Every criterion a zone sets must hold; region criteria never match a slot without base regions.
+function zoneMatches(zone, threat) {
+    if (threat.distance > zone.radius) return false;
+    if (zone.insideRegion && threat.region?.inside !== true) return false;
+    if (zone.regionDistance !== null && !(threat.region && threat.region.edgeDistance <= zone.regionDistance)) return false;
+    return true;
+}
+
+// zones are sorted by reach, so a later match only replaces the current one when it is more severe.
+function mostSevereMatch(zones, threat) {
+    let match = null;
+    for (const zone of zones) {
+        if (zoneMatches(zone, threat) && (!match || zoneSeverity(zone) > zoneSeverity(match))) {
+            match = zone;
+        }
+    }
+    return match;
+}
+
+// Named zones (raw distance, inside a base region, distance to a region edge) with per-zone actions.
+// Hostile entity rules use the same zone fields and actions but only match their listed entity names.
+export class ThreatPolicy {
+    constructor(owner) {
+        this.owner = owner;
+    }
+
+    // Without zones the old two-step reaction is kept: disconnect inside emergencyDistance, otherwise protect + alert.
+    getLegacyZones() {
+        const emergencyDistance = this.owner.config.settings.protection?.emergencyDistance || 10;
+        return [
+            { name: 'evacuate', radius: emergencyDistance, actions: ['notify', 'disconnect'] },
+            { name: 'protect', radius: null, actions: ['protect', 'notify'] }
+        ];
+    }
+
+    // Account policy overrides the global one field by field; zones and entityRules are replaced as a whole list.
+    getPolicy() {
+        const globalPolicy = this.owner.config.settings.threatPolicy || {};
+        const accountPolicy = this.owner.accountConfig.threatPolicy || {};
+        const policy = { ...globalPolicy, ...accountPolicy };
+
+        const zones = Array.isArray(policy.zones) && policy.zones.length > 0 ? policy.zones : this.getLegacyZones();
+        const entityRules = (Array.isArray(policy.entityRules) ? policy.entityRules : [])
+            .map(normalizeEntityRule)
+            .filter(Boolean)
+            .sort((a, b) => zoneReach(a) - zoneReach(b));
+        return {
+            dryRun: policy.dryRun === true,
+            cooldownMs: Number(policy.cooldownMs) || this.owner.config.settings.alertCooldown || 300000,
+            zones: zones.map(normalizeZone).sort((a, b) => zoneReach(a) - zoneReach(b)),
+            entityRules,
+            entityNames: new Set(entityRules.flatMap(rule => rule.entities))
+        };
+    }
+
+    classify(policy, threat) {
+        if (threat.kind !== 'player') {
+            return mostSevereMatch(policy.entityRules.filter(rule => rule.entities.includes(threat.kind)), threat);
+        }
+        return mostSevereMatch(policy.zones, threat);
+    }
+
+    // threat: { name, kind, distance, region }; kind is 'player' or the entity name of a hostile entity rule. Returns true when the slot was disconnected and scanning should stop.
+    respond(policy, zone, threat) {
+        const urgent = zone.actions.some(action => DISCONNECT_ACTIONS.has(action));
+        const key = `${threat.name}:${zone.name}`;
+        const now = Date.now();
+        const lastAlert = this.owner.alertCooldowns.get(key) || 0;
+
+        // Disconnect zones never wait for the cooldown, same as the old emergency check; a dry run would only spam.
+        if ((!urgent || policy.dryRun) && now - lastAlert <= policy.cooldownMs) return false;
+        this.owner.alertCooldowns.set(key, now);
+
+        const info = { zone: zone.name, actions: zone.actions, dryRun: policy.dryRun, kind: threat.kind, region: threat.region || null };
+        const distanceText = `${Math.round(threat.distance)}m`;
+
+        if (policy.dryRun) {
+            logger.info(`Slot ${this.owner.slot}: [DRY-RUN] ${threat.name} at ${distanceText} in zone ${zone.name} -> ${zone.actions.join(', ') || 'no actions'}`);
+            if (this.owner.onProximityAlert) this.owner.onProximityAlert(threat.name, threat.distance, info);
+            return false;
+        }
+
+        if (urgent) {
+            logger.error(`Slot ${this.owner.slot}: 🚨 EMERGENCY: ${threat.name} at ${distanceText} (zone ${zone.name})! DISCONNECTING! 🚨`);
+        } else {
+            logger.info(`Slot ${this.owner.slot}: Threat detected (${threat.name} at ${distanceText}, zone ${zone.name}).`);
+        }
+
+        for (const action of zone.actions) {
+            switch (action) {
+                case 'notify':
+                    this.owner.stats.alertsTriggered++;
+                    if (this.owner.onProximityAlert) this.owner.onProximityAlert(threat.name, threat.distance, info);
+                    break;
+                case 'protect':
+                    this.owner.executeProtection();
+                    break;
+                case 'spawn':
+                    this.sendSpawnCommand(zone);
+                    break;
+                case 'disconnect-base':
+                    if (this.owner.onBaseEvacuate) {
+                        this.owner.onBaseEvacuate(`${threat.name} ${distanceText} (${zone.name})`);
+                    }
+                    this.disconnect();
+                    return true;
+                case 'disconnect':
+                    this.disconnect();
+                    return true;
+            }
+        }
+        return false;
+    }
+
+    sendSpawnCommand(zone) {
+        const command = zone.spawnCommand || `/spawn ${Math.floor(Math.random() * 5) + 1}`;
+        try {
+            this.owner.bot.chat(command);
+            logger.info(`Slot ${this.owner.slot}: Sent ${command} (threat zone ${zone.name})`);
+        } catch (error) {
+            logger.warn(`Slot ${this.owner.slot}: Failed to send ${command}: ${error.message}`);
+        }
+    }
+
+    disconnect() {
+        this.owner._protectionRunning = false;
+        this.owner.stop();
+    }
+}
@@ -71,6 +71,110 @@ export class DiscordBot {
                 .setName('afkset')
                 .setDescription('AFK noktası ve yakın spawnerları kaydet')
                 .addIntegerOption(opt => opt.setName('slot').setDescription('Slot numarası').setRequired(true)),
+            new SlashCommandBuilder()
+                .setName('goto')
+                .setDescription('Pathfinder ile koordinata veya AFK anchor\'a git')
+                .addIntegerOption(opt => opt.setName('slot').setDescription('Slot numarası').setRequired(true))
+                .addStringOption(opt => opt.setName('hedef').setDescription('"x y z" veya anchor').setRequired(true)),
+            new SlashCommandBuilder()
+                .setName('follow')
+                .setDescription('Whitelist oyuncusunu takip et')
+                .addIntegerOption(opt => opt.setName('slot').setDescription('Slot numarası').setRequired(true))
+                .addStringOption(opt => opt.setName('oyuncu').setDescription('Oyuncu adı').setRequired(true)),
+            new SlashCommandBuilder()
+                .setName('halt')
+                .setDescription('Yürümeyi/takibi durdur')
+                .addIntegerOption(opt => opt.setName('slot').setDescription('Slot numarası').setRequired(true)),
+            new SlashCommandBuilder()
+                .setName('look')
+                .setDescription('Belirtilen yöne bak (F3 yaw/pitch)')
+                .addIntegerOption(opt => opt.setName('slot').setDescription('Slot numarası').setRequired(true))
+                .addNumberOption(opt => opt.setName('yaw').setDescription('Yaw (derece)').setRequired(true))
+                .addNumberOption(opt => opt.setName('pitch').setDescription('Pitch (-90..90)').setRequired(true)),
+            new SlashCommandBuilder()
+                .setName('lookat')
+                .setDescription('Koordinattaki bloğa bak')
+                .addIntegerOption(opt => opt.setName('slot').setDescription('Slot numarası').setRequired(true))
+                .addStringOption(opt => opt.setName('konum').setDescription('"x y z"').setRequired(true)),
+            new SlashCommandBuilder()
+                .setName('use')
+                .setDescription('Koordinattaki bloğu kullan (şalter, buton, kapı, tabela)')
+                .addIntegerOption(opt => opt.setName('slot').setDescription('Slot numarası').setRequired(true))
+                .addStringOption(opt => opt.setName('konum').setDescription('"x y z"').setRequired(true)),
+            new SlashCommandBuilder()
+                .setName('useitem')
+                .setDescription('Eldeki eşyayı kullan')
+                .addIntegerOption(opt => opt.setName('slot').setDescription('Slot numarası').setRequired(true)),
+            new SlashCommandBuilder()
+                .setName('attack')
+                .setDescription('Öndeki varlığa vur')
+                .addIntegerOption(opt => opt.setName('slot').setDescription('Slot numarası').setRequired(true)),
+            new SlashCommandBuilder()
+                .setName('container')
+                .setDescription('Koordinattaki sandık, varil veya shulker içeriğini göster')
+                .addIntegerOption(opt => opt.setName('slot').setDescription('Slot numarası').setRequired(true))
+                .addStringOption(opt => opt.setName('konum').setDescription('"x y z"').setRequired(true)),
+            new SlashCommandBuilder()
+                .setName('deposit')
+                .setDescription('Envanterden sandığa eşya koy')
+                .addIntegerOption(opt => opt.setName('slot').setDescription('Slot numarası').setRequired(true))
+                .addStringOption(opt => opt.setName('konum').setDescription('"x y z"').setRequired(true))
+                .addStringOption(opt => opt.setName('esya').setDescription('Eşya adı veya all').setRequired(true))
+                .addIntegerOption(opt => opt.setName('adet').setDescription('Adet (boş = hepsi)').setRequired(false)),
+            new SlashCommandBuilder()
+                .setName('withdraw')
+                .setDescription('Sandıktan envantere eşya al')
+                .addIntegerOption(opt => opt.setName('slot').setDescription('Slot numarası').setRequired(true))
+                .addStringOption(opt => opt.setName('konum').setDescription('"x y z"').setRequired(true))
+                .addStringOption(opt => opt.setName('esya').setDescription('Eşya adı veya all').setRequired(true))
+                .addIntegerOption(opt => opt.setName('adet').setDescription('Adet (boş = hepsi)').setRequired(false)),
+            new SlashCommandBuilder()
+                .setName('afkinfo')
+                .setDescription('AFK noktası, uzaklık ve lobby eşiklerini göster')
+                .addIntegerOption(opt => opt.setName('slot').setDescription('Slot numarası').setRequired(true)),
+            new SlashCommandBuilder()
+                .setName('region')
+                .setDescription('Üs alanları (list, add, remove)')
+                .addIntegerOption(opt => opt.setName('slot').setDescription('Slot numarası').setRequired(true))
+                .addStringOption(opt => opt.setName('islem').setDescription('list, add veya remove').setRequired(false))
+                .addStringOption(opt => opt.setName('isim').setDescription('Bölge adı').setRequired(false))
+                .addStringOption(opt => opt.setName('tip').setDescription('cuboid veya polygon').setRequired(false))
+                .addStringOption(opt => opt.setName('koordinatlar').setDescription('cuboid: "x1 y1 z1 x2 y2 z2", polygon: "minY maxY x1 z1 x2 z2 x3 z3 ..."').setRequired(false)),
+            new SlashCommandBuilder()
+                .setName('server')
+                .setDescription('Slotun sunucu profilini göster/değiştir')
+                .addIntegerOption(opt => opt.setName('slot').setDescription('Slot numarası').setRequired(true))
+                .addStringOption(opt => opt.setName('sunucu').setDescription('Sunucu profili').setRequired(false)),
+            new SlashCommandBuilder()
+                .setName('schedule')
+                .setDescription('Çevrimiçi programları (list, set, clear)')
+                .addStringOption(opt => opt.setName('islem').setDescription('list, set veya clear').setRequired(true))
+                .addIntegerOption(opt => opt.setName('slot').setDescription('Slot numarası').setRequired(false))
+                .addStringOption(opt => opt.setName('program').setDescription('Örn: mon-fri 22:00-06:00').setRequired(false)),
+            new SlashCommandBuilder()
+                .setName('proxy')
+                .setDescription('Slotun proxy bilgisini göster')
+                .addIntegerOption(opt => opt.setName('slot').setDescription('Slot numarası').setRequired(true)),
+            new SlashCommandBuilder()
+                .setName('kicks')
+                .setDescription('Slotun kick geçmişini göster')
+                .addIntegerOption(opt => opt.setName('slot').setDescription('Slot numarası').setRequired(true)),
+            new SlashCommandBuilder()
+                .setName('seen')
+                .setDescription('Oyuncunun görülme kaydı, ziyaretleri ve hareketleri')
+                .addStringOption(opt => opt.setName('oyuncu').setDescription('Oyuncu adı').setRequired(true)),
+            new SlashCommandBuilder()
+                .setName('visitors')
+                .setDescription('Belirli süre içinde görülen oyuncular')
+                .addIntegerOption(opt => opt.setName('slot').setDescription('Slot numarası').setRequired(false))
+                .addStringOption(opt => opt.setName('sure').setDescription('Örn: 30m, 12h, 7d (varsayılan 24h)').setRequired(false)),
+            new SlashCommandBuilder()
+                .setName('rules')
+                .setDescription('Chat tetikleyici kuralları (list, add, remove, on, off)')
+                .addStringOption(opt => opt.setName('islem').setDescription('list, add, remove, on veya off').setRequired(false))
+                .addStringOption(opt => opt.setName('isim').setDescription('Kural adı').setRequired(false))
+                .addStringOption(opt => opt.setName('aksiyon').setDescription('enter-lobby, verify-teleport, pause-lobby-retry, notify, run-command').setRequired(false))
+                .addStringOption(opt => opt.setName('regex').setDescription('Eşleşme regexi (run-command/notify için "=> komut/mesaj" eklenebilir)').setRequired(false)),
             new SlashCommandBuilder()
                 .setName('logs')
                 .setDescription('Log akışını aç/kapat')
@@ -186,8 +290,59 @@ export class DiscordBot {
                     if (commandName === 'status') {
                         const slot = options.getInteger('slot');
                         if (slot) args.push(slot.toString());
-                    } else if (commandName === 'start' || commandName === 'stop' || commandName === 'inv' || commandName === 'protect' || commandName === 'afkset') {
+                    } else if (commandName === 'start' || commandName === 'stop' || commandName === 'inv' || commandName === 'protect' || commandName === 'afkset' || commandName === 'afkinfo' || commandName === 'halt' || commandName === 'useitem' || commandName === 'attack' || commandName === 'proxy' || commandName === 'kicks') {
+                        args.push(options.getInteger('slot').toString());
+                    } else if (commandName === 'server') {
+                        args.push(options.getInteger('slot').toString());
+                        const sunucu = options.getString('sunucu');
+                        if (sunucu) args.push(sunucu);
+                    } else if (commandName === 'goto') {
+                        args.push(options.getInteger('slot').toString());
+                        args.push(...options.getString('hedef').trim().split(/\s+/));
+                    } else if (commandName === 'look') {
+                        args.push(options.getInteger('slot').toString());
+                        args.push(options.getNumber('yaw').toString());
+                        args.push(options.getNumber('pitch').toString());
+                    } else if (commandName === 'lookat' || commandName === 'use' || commandName === 'container') {
+                        args.push(options.getInteger('slot').toString());
+                        args.push(...options.getString('konum').trim().split(/\s+/));
+                    } else if (commandName === 'deposit' || commandName === 'withdraw') {
+                        args.push(options.getInteger('slot').toString());
+                        args.push(...options.getString('konum').trim().split(/\s+/));
+                        args.push(options.getString('esya'));
+                        const count = options.getInteger('adet');
+                        if (count) args.push(count.toString());
+                    } else if (commandName === 'seen') {
+                        args.push(options.getString('oyuncu'));
+                    } else if (commandName === 'visitors') {
+                        const slot = options.getInteger('slot');
+                        if (slot) args.push(slot.toString());
+                        const since = options.getString('sure');
+                        if (since) args.push(since);
+                    } else if (commandName === 'follow') {
+                        args.push(options.getInteger('slot').toString());
+                        args.push(options.getString('oyuncu'));
+                    } else if (commandName === 'schedule') {
+                        args.push(options.getString('islem'));
+                        const slot = options.getInteger('slot');
+                        if (slot) args.push(slot.toString());
+                        const program = options.getString('program');
+                        if (program) args.push(program);
+                    } else if (commandName === 'region') {
                         args.push(options.getInteger('slot').toString());
+                        args.push(options.getString('islem') || 'list');
+                        for (const key of ['isim', 'tip']) {
+                            const value = options.getString(key);
+                            if (value) args.push(value);
+                        }
+                        const coords = options.getString('koordinatlar');
+                        if (coords) args.push(...coords.trim().split(/\s+/));
+                    } else if (commandName === 'rules') {
+                        args.push(options.getString('islem') || 'list');
+                        for (const key of ['isim', 'aksiyon', 'regex']) {
+                            const value = options.getString(key);
+                            if (value) args.push(value);
+                        }
                     } else if (commandName === 'restart') {
                         args.push(options.getString('slot'));
                     } else if (commandName === 'stats') {
@@ -281,7 +436,7 @@ export class DiscordBot {
         }
 
         // Status command embed
-        if (result.data && Array.isArray(result.data) && result.data[0]?.slot) {
+        if (result.data && Array.isArray(result.data) && result.data[0]?.slot !== undefined) {
             const embed = result.data[0]?.status !== undefined
                 ? this.createStatusEmbed(result.data)
                 : this.createInventoryEmbed(result.data, result.message);
@@ -311,13 +466,31 @@ export class DiscordBot {
         for (const status of statuses) {
             const emoji = this.getStatusEmoji(status.status);
             const protectText = status.protectionEnabled ? 'AÇIK' : 'KAPALI';
-            let value = `📶 **${status.status}**\n👤 ${status.username}\n🛡️ Koruma: **${protectText}**`;
+            let value = `📶 **${status.status}**\n👤 ${status.username}\n🌍 ${status.server}\n🛡️ Koruma: **${protectText}**`;
             if (status.health !== undefined) {
                 value += `\n💗 ${Math.round(status.health)}/20 🍗 ${Math.round(status.food)}/20`;
             }
             if (status.position) {
                 value += `\n📍 \`${Math.floor(status.position.x)}, ${Math.floor(status.position.y)}, ${Math.floor(status.position.z)}\``;
             }
+            if (status.metrics) {
+                value += `\n📡 ${status.metrics.ping ?? '?'} ms | ⚙️ ${status.metrics.tps ?? '?'} TPS`;
+            }
+            if (status.nextReconnectAt) {
+                value += `\n⏳ Reconnect <t:${Math.floor(status.nextReconnectAt / 1000)}:R>`;
+            }
+            if (status.queuePosition) {
+                value += `\n🕒 Bağlantı sırası: **#${status.queuePosition}**`;
+            }
+            if (status.quarantine) {
+                value += status.quarantine.expiresAt
+                    ? `\n⛔ Ban bitişi <t:${Math.floor(status.quarantine.expiresAt / 1000)}:R>`
+                    : '\n⛔ Ban: **süresiz**';
+            }
+            if (status.schedule?.nextTransitionAt) {
+                const nextLabel = status.schedule.windowOpen ? 'kapanış' : 'açılış';
+                value += `\n⏰ Program ${nextLabel} <t:${Math.floor(status.schedule.nextTransitionAt / 1000)}:R>`;
+            }
 
             embed.addFields({
                 name: `${emoji} Slot ${status.slot}`,
@@ -338,6 +511,7 @@ export class DiscordBot {
 
         embed.addFields(
             { name: '📶 Durum', value: status.status, inline: true },
+            { name: '🌍 Sunucu', value: status.server || 'default', inline: true },
             { name: '🛡️ Koruma', value: status.protectionEnabled ? 'AÇIK' : 'KAPALI', inline: true }
         );
 
@@ -354,10 +528,55 @@ export class DiscordBot {
             embed.addFields({ name: '📍 Konum', value: pos, inline: false });
         }
 
+        if (status.metrics) {
+            const packetAgo = status.metrics.lastPacketAgoMs !== null ? `${(status.metrics.lastPacketAgoMs / 1000).toFixed(1)}s` : '?';
+            const keepAliveAgo = status.metrics.lastKeepAliveAgoMs !== null ? `${Math.round(status.metrics.lastKeepAliveAgoMs / 1000)}s` : '?';
+            embed.addFields(
+                { name: '📡 Ping', value: `${status.metrics.ping ?? '?'} ms`, inline: true },
+                { name: '⚙️ TPS', value: `${status.metrics.tps ?? '?'}`, inline: true },
+                { name: '📦 Son Paket / Keep-alive', value: `${packetAgo} / ${keepAliveAgo} önce`, inline: true }
+            );
+        }
+
         if (status.reconnectAttempts > 0) {
             embed.addFields({ name: '🔄 Reconnect Denemesi', value: `${status.reconnectAttempts}`, inline: true });
         }
 
+        if (status.nextReconnectAt) {
+            embed.addFields({
+                name: '⏳ Sonraki Deneme',
+                value: `<t:${Math.floor(status.nextReconnectAt / 1000)}:R> (bekleme ${Math.round(status.reconnectDelay / 1000)}s)`,
+                inline: true
+            });
+        }
+
+        if (status.queuePosition) {
+            embed.addFields({ name: '🕒 Bağlantı Sırası', value: `#${status.queuePosition}`, inline: true });
+        }
+
+        if (status.serverWait) {
+            embed.addFields({
+                name: '🔌 Sunucu Bekleniyor',
+                value: `\`${status.serverWait.server}\` <t:${Math.floor(status.serverWait.downSince / 1000)}:R> beri çevrimdışı`,
+                inline: false
+            });
+        }
+
+        if (status.quarantine) {
+            const untilText = status.quarantine.expiresAt
+                ? `Bitiş <t:${Math.floor(status.quarantine.expiresAt / 1000)}:f> (<t:${Math.floor(status.quarantine.expiresAt / 1000)}:R>)`
+                : 'Süresiz — manuel `/start` gerekir';
+            embed.addFields({ name: '⛔ Ban Karantinası', value: `${untilText}\n${status.quarantine.reason.slice(0, 900)}`, inline: false });
+        }
+
+        if (status.schedule) {
+            const nextLabel = status.schedule.windowOpen ? 'Kapanış' : 'Açılış';
+            const nextText = status.schedule.nextTransitionAt
+                ? `${nextLabel} <t:${Math.floor(status.schedule.nextTransitionAt / 1000)}:f>`
+                : 'Geçiş yok';
+            embed.addFields({ name: '⏰ Program', value: `${status.schedule.description}\n${nextText}`, inline: false });
+        }
+
         return embed;
     }
 
@@ -392,6 +611,8 @@ export class DiscordBot {
             case 'offline': return '⚫';
             case 'error': return '🔴';
             case 'kicked': return '🟠';
+            case 'waiting': return '🟡';
+            case 'banned': return '⛔';
             default: return '⚪';
         }
     }
@@ -402,6 +623,8 @@ export class DiscordBot {
             case 'offline': return 0x808080; // Gray
             case 'error': return 0xFF0000;   // Red
             case 'kicked': return 0xFFA500;  // Orange
+            case 'waiting': return 0xFFD700; // Yellow
+            case 'banned': return 0x8B0000;  // Dark red
             default: return 0xFFFFFF;        // White
         }
     }
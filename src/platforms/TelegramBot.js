@@ -167,10 +167,25 @@ export class TelegramBot {
     formatStatusLine(status) {
         const emoji = this.getStatusEmoji(status.status);
         const protectText = status.protectionEnabled ? 'AÇIK' : 'KAPALI';
-        let line = `${emoji} <b>Slot ${status.slot}</b> — ${this.escapeHtml(status.username)} | 🛡️ ${protectText}`;
+        let line = `${emoji} <b>Slot ${status.slot}</b> — ${this.escapeHtml(status.username)} | 🌍 ${this.escapeHtml(status.server)} | 🛡️ ${protectText}`;
         if (status.health !== undefined) {
             line += ` | 💗 ${Math.round(status.health)} 🍗 ${Math.round(status.food)}`;
         }
+        if (status.metrics) {
+            line += ` | 📡 ${status.metrics.ping ?? '?'}ms ⚙️ ${status.metrics.tps ?? '?'} TPS`;
+        }
+        if (status.nextReconnectAt) {
+            line += ` | ⏳ ${Math.max(0, Math.round((status.nextReconnectAt - Date.now()) / 1000))}s`;
+        }
+        if (status.queuePosition) {
+            line += ` | 🕒 #${status.queuePosition}`;
+        }
+        if (status.schedule && !status.schedule.allowed) {
+            line += ' | ⏰ program dışı';
+        }
+        if (status.quarantine) {
+            line += ' | ⛔ banlı';
+        }
         return line;
     }
 
@@ -179,6 +194,7 @@ export class TelegramBot {
         let text = `${emoji} <b>Slot ${status.slot}</b> — ${this.escapeHtml(status.username)}\n`;
         text += `━━━━━━━━━━━━━━━━━━━━\n`;
         text += `📶 Durum: <b>${this.escapeHtml(status.status)}</b>\n`;
+        text += `🌍 Sunucu: <b>${this.escapeHtml(status.server)}</b>\n`;
         text += `🛡️ Koruma: <b>${status.protectionEnabled ? 'AÇIK' : 'KAPALI'}</b>\n`;
 
         if (status.health !== undefined) {
@@ -191,24 +207,64 @@ export class TelegramBot {
             text += `📍 Konum: <code>${Math.floor(status.position.x)}, ${Math.floor(status.position.y)}, ${Math.floor(status.position.z)}</code>\n`;
         }
 
+        if (status.metrics) {
+            const packetAgo = status.metrics.lastPacketAgoMs !== null ? `${(status.metrics.lastPacketAgoMs / 1000).toFixed(1)}s` : '?';
+            const keepAliveAgo = status.metrics.lastKeepAliveAgoMs !== null ? `${Math.round(status.metrics.lastKeepAliveAgoMs / 1000)}s` : '?';
+            text += `📡 Ping: <b>${status.metrics.ping ?? '?'} ms</b> | ⚙️ TPS: <b>${status.metrics.tps ?? '?'}</b>\n`;
+            text += `📦 Son paket: <b>${packetAgo}</b> önce | 💓 Keep-alive: <b>${keepAliveAgo}</b> önce\n`;
+        }
+
         if (status.reconnectAttempts > 0) {
             text += `🔄 Reconnect Denemesi: <b>${status.reconnectAttempts}</b>\n`;
         }
 
+        if (status.nextReconnectAt) {
+            const remaining = Math.max(0, Math.round((status.nextReconnectAt - Date.now()) / 1000));
+            text += `⏳ Sonraki Deneme: <b>${remaining}s</b> sonra (bekleme ${Math.round(status.reconnectDelay / 1000)}s)\n`;
+        }
+
+        if (status.queuePosition) {
+            text += `🕒 Bağlantı Sırası: <b>#${status.queuePosition}</b>\n`;
+        }
+
+        if (status.serverWait) {
+            const downMinutes = Math.round((Date.now() - status.serverWait.downSince) / 60000);
+            text += `🔌 Sunucu çevrimdışı, bekleniyor: <b>${this.escapeHtml(status.serverWait.server)}</b> (${downMinutes} dk)\n`;
+        }
+
+        if (status.quarantine) {
+            const untilText = status.quarantine.expiresAt
+                ? new Date(status.quarantine.expiresAt).toLocaleString('tr-TR')
+                : 'süresiz (manuel /start gerekir)';
+            text += `⛔ Ban karantinası: <b>${untilText}</b>\n`;
+            text += `📝 Sebep: ${this.escapeHtml(status.quarantine.reason)}\n`;
+        }
+
+        if (status.schedule) {
+            const nextLabel = status.schedule.windowOpen ? 'kapanış' : 'açılış';
+            const nextText = status.schedule.nextTransitionAt
+                ? new Date(status.schedule.nextTransitionAt).toLocaleString('tr-TR')
+                : '—';
+            text += `⏰ Program: ${this.mdToHtml(status.schedule.description)}\n`;
+            text += `⏭️ Sonraki ${nextLabel}: <b>${nextText}</b>\n`;
+        }
+
         return text;
     }
 
     formatInventory(items) {
         if (items.length === 0) return 'Envanter boş';
 
-        const getCategory = (slot) => {
+        const getCategory = (slot, container) => {
+            if (container) return '📦 Konteyner';
             if (slot === 45) return '🛡️ Off-hand';
             if (slot >= 5 && slot <= 8) return '👕 Zırh';
             if (slot >= 36 && slot <= 44) return '🔥 Hotbar';
             return '🎒 Ana Envanter';
         };
 
-        const getSlotName = (slot) => {
+        const getSlotName = (slot, container) => {
+            if (container) return `Slot ${slot}`;
             if (slot >= 36 && slot <= 44) return `Hotbar ${slot - 35}`;
             if (slot === 45) return 'Off-hand';
             const armorNames = { 5: 'Kask', 6: 'Zırh', 7: 'Pantolon', 8: 'Bot' };
@@ -218,7 +274,7 @@ export class TelegramBot {
         const categories = {};
 
         for (const item of items) {
-            const cat = getCategory(item.slot);
+            const cat = getCategory(item.slot, item.container);
             if (!categories[cat]) categories[cat] = [];
             categories[cat].push(item);
         }
@@ -229,7 +285,7 @@ export class TelegramBot {
             if (catItems.length > 0) {
                 text += `\n<b>${cat}</b>\n`;
                 for (const item of catItems) {
-                    text += `• ${item.count}x <code>${this.escapeHtml(item.name)}</code> (${getSlotName(item.slot)})\n`;
+                    text += `• ${item.count}x <code>${this.escapeHtml(item.name)}</code> (${getSlotName(item.slot, item.container)})\n`;
                 }
             }
         }
@@ -245,6 +301,8 @@ export class TelegramBot {
             case 'offline': return '⚫';
             case 'error': return '🔴';
             case 'kicked': return '🟠';
+            case 'waiting': return '🟡';
+            case 'banned': return '⛔';
             default: return '⚪';
         }
     }
@@ -1,5 +1,5 @@
 // Bot status types
-export type BotStatus = 'offline' | 'online' | 'connecting' | 'error' | 'kicked';
+export type BotStatus = 'offline' | 'online' | 'connecting' | 'waiting' | 'error' | 'kicked' | 'banned';
 
 // Account configuration
 export interface MinecraftAccount {
@@ -8,20 +8,283 @@ export interface MinecraftAccount {
   auth: 'microsoft' | 'offline' | string;
   authUsername?: string;
   autoStart?: boolean;
+  server?: string;
+  base?: string;
+  schedule?: AccountSchedule;
   afkProfile?: AfkProfile;
   protectionEnabled?: boolean;
+  reconnectBackoff?: ReconnectBackoffPolicy;
+  proxy?: ProxyConfig | string | false | null;
+  kickRules?: KickRule[];
+  quarantine?: BanQuarantine;
+  connectWatchdog?: ConnectWatchdogSettings;
+  lobbyReturnSequence?: LobbyReturnStep[];
+  afkThresholds?: AfkThresholdSettings;
+  anchorRecovery?: AnchorRecoverySettings;
+  autoStash?: AutoStashSettings;
+  enderChest?: EnderChestSettings;
+  threatPolicy?: ThreatPolicySettings;
   // eslint-disable-next-line @typescript-eslint/no-explicit-any
   onMsaCode?: (data: any) => void;
 }
 
+// Base area used by threat zones; cuboid corners are inclusive block coordinates (from/to accepted on input)
+export type BaseRegion =
+  | { name: string; type: 'cuboid'; min: Position; max: Position }
+  | { name: string; type: 'polygon'; points: Array<{ x: number; z: number }>; minY: number; maxY: number };
+
 // AFK profile for position management
 export interface AfkProfile {
-  anchor: Position;
+  anchor: Position & { yaw?: number; pitch?: number };
   spawners: Position[];
+  regions?: BaseRegion[];
   recordedAt?: number;
   updatedAt?: string;
 }
 
+// Lobby / drift distances and intervals; account values override the global ones per field
+export interface AfkThresholdSettings {
+  driftRadius?: number;
+  teleportDistance?: number;
+  returnRadius?: number;
+  driftCheckIntervalMs?: number;
+  lobbyRetryIntervalMs?: number;
+}
+
+// Pathfinding back to the anchor when pushed further than `tolerance` but less than the drift radius
+export interface AnchorRecoverySettings {
+  enabled?: boolean;
+  tolerance?: number;
+  timeoutMs?: number;
+  retryDelayMs?: number;
+}
+
+// Deposit farm loot into a chest / ender chest when the inventory fills up
+export type AutoStashCategory = 'spawners' | 'drops' | 'xp';
+
+export interface AutoStashSettings {
+  enabled?: boolean;
+  container?: Position | null;
+  minEmptySlots?: number;
+  categories?: AutoStashCategory[];
+  items?: string[];
+  timeoutMs?: number;
+  retryDelayMs?: number;
+}
+
+// Protection loop dumps mined spawners into an ender chest
+export interface EnderChestSettings {
+  enabled?: boolean;
+  position?: Position | null;
+  placeCarried?: boolean;
+  everySpawners?: number;
+}
+
+// Proximity response: the matching zone with the most severe action decides; ties go to the tightest zone
+export type ThreatAction = 'notify' | 'protect' | 'spawn' | 'disconnect' | 'disconnect-base';
+
+export interface ThreatZone {
+  name: string;
+  radius?: number;
+  insideRegion?: boolean;
+  regionDistance?: number;
+  actions: ThreatAction[];
+  spawnCommand?: string;
+}
+
+// Mineflayer entity names such as creeper, tnt, end_crystal or wither; radius defaults to 16
+export interface HostileEntityRule extends Omit<ThreatZone, 'name'> {
+  name?: string;
+  entity?: string;
+  entities?: string[];
+}
+
+export interface ThreatPolicySettings {
+  dryRun?: boolean;
+  cooldownMs?: number;
+  zones?: ThreatZone[];
+  entityRules?: HostileEntityRule[];
+}
+
+// Merged proximity alerts for slots sharing a base and cross-base movement lines
+export interface ThreatCorrelationSettings {
+  mergeDelayMs?: number;
+  mergeWindowMs?: number;
+  correlationWindowMs?: number;
+}
+
+// Persistent player sightings log behind /seen and /visitors
+export interface SightingsSettings {
+  enabled?: boolean;
+  file?: string;
+  visitGapMs?: number;
+  repeatVisits?: number;
+  repeatWindowDays?: number;
+  trackIntervalMs?: number;
+  trackLimit?: number;
+  maxVisits?: number;
+  retentionDays?: number;
+  saveDelayMs?: number;
+}
+
+// Pathfinder commands (/goto, /follow)
+export interface NavigationSettings {
+  progressIntervalMs?: number;
+  gotoTimeoutMs?: number;
+  followRange?: number;
+}
+
+// Range limits for /use, /attack and /lookat
+export interface InteractionSettings {
+  reach?: number;
+  lookRange?: number;
+}
+
+// Minecraft server connection target
+export interface ServerProfile {
+  host: string;
+  port?: number;
+  version?: string;
+  lobbyDetection?: LobbyDetectionSettings;
+}
+
+// Lobby detectors and how their signals are combined before lobby mode is entered
+export type LobbyDetectorName = 'position' | 'chat' | 'dimension' | 'scoreboard' | 'tabList' | 'compass';
+
+export interface LobbyDetectorOptions {
+  enabled?: boolean;
+  weight?: number;
+  lobbyPattern?: string;
+  homePattern?: string;
+  items?: string[];
+  namePattern?: string;
+}
+
+export interface LobbyDetectionSettings {
+  mode?: 'vote' | 'priority';
+  minVotes?: number;
+  priority?: LobbyDetectorName[];
+  detectors?: Partial<Record<LobbyDetectorName, LobbyDetectorOptions>>;
+}
+
+// Online windows per account: weekly windows or a cron start/stop pair
+export interface ScheduleWindow {
+  days: string | string[];
+  start: string;
+  end: string;
+}
+
+export type AccountSchedule =
+  | { type?: 'weekly'; enabled?: boolean; windows: ScheduleWindow[] }
+  | { type: 'cron'; enabled?: boolean; start: string; stop: string };
+
+export interface ScheduleSettings {
+  enabled?: boolean;
+  checkIntervalMs?: number;
+  maxOnline?: number;
+  rotationIntervalMs?: number;
+}
+
+// Deadlines for each connection phase before a stalled client is torn down
+export interface ConnectWatchdogSettings {
+  enabled?: boolean;
+  connectTimeoutMs?: number;
+  authTimeoutMs?: number;
+  loginTimeoutMs?: number;
+  spawnTimeoutMs?: number;
+}
+
+// Ping / TPS / packet-gap alert thresholds
+export interface HealthAlertSettings {
+  enabled?: boolean;
+  maxPingMs?: number;
+  minTps?: number;
+  maxPacketGapMs?: number;
+  checkIntervalMs?: number;
+}
+
+// Server list ping before reconnect attempts
+export interface ServerProbeSettings {
+  enabled?: boolean;
+  timeoutMs?: number;
+  pollIntervalMs?: number;
+}
+
+// Chat trigger rule: regex over incoming chat mapped to an action
+export type ChatRuleAction = 'enter-lobby' | 'verify-teleport' | 'pause-lobby-retry' | 'notify' | 'run-command';
+
+export interface ChatRule {
+  name: string;
+  pattern: string;
+  flags?: string;
+  action: ChatRuleAction;
+  command?: string;
+  message?: string;
+  cooldownMs?: number;
+  stop?: boolean;
+  enabled?: boolean;
+}
+
+// One step of the lobby return sequence; a failed step restarts the sequence from the top
+export type LobbyReturnStep =
+  | { type: 'command'; command: string; timeoutMs?: number }
+  | { type: 'wait'; ms: number; timeoutMs?: number }
+  | { type: 'wait-for-chat-match'; pattern: string; flags?: string; timeoutMs?: number }
+  | { type: 'wait-for-dimension'; dimension: string; timeoutMs?: number }
+  | { type: 'click-window-slot-by-item-name'; item: string; openWith?: string; timeoutMs?: number };
+
+// Kick reason classifier rule (substring `match` and/or regex `pattern`)
+export type KickAction = 'reconnect' | 'stop' | 'notify-critical' | 'wait-for-server';
+
+export interface KickRule {
+  name?: string;
+  match?: string | string[];
+  pattern?: string;
+  flags?: string;
+  action: KickAction;
+  delayMs?: number;
+  maxRetries?: number;
+}
+
+// Ban detection from kick / login-disconnect reasons
+export interface BanDetectionSettings {
+  enabled?: boolean;
+  patterns?: string[];
+}
+
+// Persisted on the account while a detected ban is active
+export interface BanQuarantine {
+  reason: string;
+  detectedAt: number;
+  expiresAt: number | null;
+}
+
+// Reconnect delay policy (global default, overridable per account)
+export interface ReconnectBackoffPolicy {
+  baseDelay?: number;
+  multiplier?: number;
+  maxDelay?: number;
+  jitter?: 'none' | 'full' | 'decorrelated';
+}
+
+// Login admission queue shared by all slots
+export interface ConnectionQueueSettings {
+  maxConcurrent?: number;
+  minGapMs?: number;
+  admitTimeoutMs?: number;
+}
+
+// SOCKS4/5 or HTTP CONNECT proxy for the game connection
+export interface ProxyConfig {
+  type: 'socks4' | 'socks5' | 'http';
+  host: string;
+  port?: number;
+  username?: string;
+  password?: string;
+  timeoutMs?: number;
+  enabled?: boolean;
+}
+
 export interface Position {
   x: number;
   y: number;
@@ -32,10 +295,8 @@ export interface Position {
 export interface BotConfig {
   minecraft: {
     accounts: MinecraftAccount[];
-    server: {
-      host: string;
-      port?: number;
-    };
+    server: ServerProfile;
+    servers?: Record<string, ServerProfile>;
   };
   telegram?: {
     allowedUsers: string[];
@@ -48,8 +309,31 @@ export interface BotConfig {
   };
   settings: {
     alertWhitelist?: string[];
+    reconnectDelay?: number;
+    reconnectBackoff?: ReconnectBackoffPolicy;
+    connectionQueue?: ConnectionQueueSettings;
+    proxy?: ProxyConfig | string | null;
+    schedule?: ScheduleSettings;
+    serverProbe?: ServerProbeSettings;
+    connectWatchdog?: ConnectWatchdogSettings;
+    healthAlerts?: HealthAlertSettings;
+    kickRules?: KickRule[];
+    chatRules?: ChatRule[];
+    lobbyReturnCommand?: string;
+    lobbyReturnSequence?: LobbyReturnStep[];
+    lobbyDetection?: LobbyDetectionSettings;
+    afkThresholds?: AfkThresholdSettings;
+    anchorRecovery?: AnchorRecoverySettings;
+    autoStash?: AutoStashSettings;
+    navigation?: NavigationSettings;
+    interaction?: InteractionSettings;
+    threatPolicy?: ThreatPolicySettings;
+    sightings?: SightingsSettings;
+    threatCorrelation?: ThreatCorrelationSettings;
+    banDetection?: BanDetectionSettings;
     protection?: {
       enabled?: boolean;
+      enderChest?: EnderChestSettings;
     };
   };
 }